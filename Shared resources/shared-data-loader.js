@@ -2,17 +2,33 @@
  * Shared Data Loader for NAEI Charts
  * Handles loading and caching of common data used by both line and scatter charts
  * Prevents duplicate data loading when switching between charts
+ * Loaded tables are persisted in IndexedDB so repeat visits skip the download
  */
 
+// Supabase tables shared by every NAEI dataset edition
+// (the timeseries table is per edition, see SupabaseConfig.getTimeseriesTable)
+const SHARED_TABLES = {
+  pollutants: 'NAEI_global_Pollutants',
+  groups: 'NAEI_global_t_Group'
+};
+
+// IndexedDB persistence settings
+const PERSISTED_DB_NAME = 'naei-shared-data';
+const PERSISTED_DB_VERSION = 1;
+const PERSISTED_STORE = 'datasets';
+const PERSISTED_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Refetch weekly even if the version looks unchanged
+
 // Global data cache
 window.SharedDataCache = window.SharedDataCache || {
   isLoaded: false,
   isLoading: false,
-  loadPromise: null,
+  pendingLoads: new Map(), // Edition -> promise of a load in flight
+  edition: null, // Most recently requested edition; the only one whose data may go into the cache
   data: {
     pollutants: [],
     groups: [],
-    timeseries: []
+    timeseries: [],
+    retrievedAt: null // When the tables were fetched from Supabase (ms since epoch)
   },
   maps: {
     pollutantIdToName: {},
@@ -20,7 +36,8 @@ window.SharedDataCache = window.SharedDataCache || {
     groupIdToName: {},
     groupNameToId: {},
     pollutantUnits: {}
-  }
+  },
+  updateListeners: []
 };
 
 /**
@@ -33,78 +50,305 @@ function getSupabaseClient() {
   return window.SupabaseConfig.initSupabaseClient();
 }
 
+/**
+ * Resolve the dataset edition to load, defaulting to the configured edition
+ */
+function resolveEdition(edition) {
+  if (edition) return edition;
+  return window.SupabaseConfig ? window.SupabaseConfig.DEFAULT_DATASET_EDITION : '2023ds';
+}
+
+/**
+ * Timeseries table name for a dataset edition
+ */
+function getTimeseriesTableName(edition) {
+  if (window.SupabaseConfig && window.SupabaseConfig.getTimeseriesTable) {
+    return window.SupabaseConfig.getTimeseriesTable(edition);
+  }
+  return `NAEI_${edition}_t_Group_Data`;
+}
+
 /**
  * Load all shared data from Supabase with caching
  * Returns a promise that resolves when data is loaded
+ * @param {Object} options - Load options
+ * @param {string} options.edition - Dataset edition, e.g. '2024ds' (defaults to the configured edition)
+ * @param {Function} options.onProgress - Called with {table, loaded, total} while timeseries pages arrive
  */
-async function loadSharedData() {
+async function loadSharedData(options = {}) {
   const cache = window.SharedDataCache;
+  const edition = resolveEdition(options.edition);
   
   // If data is already loaded, return immediately
-  if (cache.isLoaded) {
+  if (cache.isLoaded && cache.edition === edition) {
     console.log("Using cached shared data");
     return cache.data;
   }
   
-  // If loading is in progress, return the existing promise
-  if (cache.isLoading && cache.loadPromise) {
+  // The latest request decides which edition the cache holds
+  cache.isLoaded = false;
+  cache.edition = edition;
+  cache.pendingLoads = cache.pendingLoads || new Map();
+
+  // Join a load of the same edition already in flight, otherwise start one
+  let pending = cache.pendingLoads.get(edition);
+  if (pending) {
     console.log("Waiting for existing data load to complete");
-    return await cache.loadPromise;
+  } else {
+    pending = loadPersistedOrRemote(edition, options).finally(() => cache.pendingLoads.delete(edition));
+    cache.pendingLoads.set(edition, pending);
   }
-  
-  // Start loading data
   cache.isLoading = true;
-  cache.loadPromise = loadDataFromSupabase();
   
   try {
-    const result = await cache.loadPromise;
-    cache.isLoaded = true;
-    cache.isLoading = false;
-    return result;
-  } catch (error) {
-    cache.isLoading = false;
-    cache.loadPromise = null;
-    throw error;
+    const data = await pending;
+    // A request for another edition made meanwhile keeps this data out of the cache
+    if (cache.edition === edition && !cache.isLoaded) {
+      applySharedData(data, data.retrievedAt);
+      cache.isLoaded = true;
+    }
+    return data;
+  } finally {
+    cache.isLoading = cache.pendingLoads.size > 0;
   }
 }
 
+/**
+ * Read data from the IndexedDB copy when there is one, checking the server
+ * version in the background; otherwise fetch from Supabase and persist it.
+ * Does not touch the in-memory cache: loadSharedData decides whether the
+ * result is still wanted.
+ * @returns {Promise<Object>} {pollutants, groups, timeseries, retrievedAt}
+ */
+async function loadPersistedOrRemote(edition, options = {}) {
+  const table = getTimeseriesTableName(edition);
+  const record = await readPersistedDataset(table);
+
+  if (record && record.data) {
+    console.log(`Using persisted ${edition} data (version ${record.version}, saved ${new Date(record.savedAt).toISOString()})`);
+    if (typeof options.onProgress === 'function') {
+      const rows = record.data.timeseries.length;
+      options.onProgress({ table, loaded: rows, total: rows });
+    }
+    refreshInBackground(edition, record);
+    return { ...record.data, retrievedAt: record.savedAt };
+  }
+
+  const data = await loadDataFromSupabase(edition, options);
+  persistData(edition, data);
+  return { ...data, retrievedAt: Date.now() };
+}
+
 /**
  * Actually fetch data from Supabase
+ * The timeseries table is larger than the server's row limit, so it is paged
  */
-async function loadDataFromSupabase() {
-  console.log("Loading shared data from Supabase...");
+async function loadDataFromSupabase(edition, options = {}) {
+  const table = getTimeseriesTableName(edition);
+  console.log(`Loading shared data from Supabase (${table})...`);
   
   const client = getSupabaseClient();
-  const cache = window.SharedDataCache;
+
+  if (!window.SupabasePaging) {
+    throw new Error('SupabasePaging not available');
+  }
   
   // Fetch all required data in parallel
-  const [pollutantsResp, groupsResp, dataResp] = await Promise.all([
-    client.from('NAEI_global_Pollutants').select('*'),
-    client.from('NAEI_global_t_Group').select('*'),
-    client.from('NAEI_2023ds_t_Group_Data').select('*')
+  const [pollutantsResp, groupsResp, timeseries] = await Promise.all([
+    client.from(SHARED_TABLES.pollutants).select('*'),
+    client.from(SHARED_TABLES.groups).select('*'),
+    window.SupabasePaging.fetchAllRows(client, table, {
+      orderBy: ['pollutant_id', 'group_id'],
+      onProgress: options.onProgress
+    })
   ]);
 
   if (pollutantsResp.error) throw pollutantsResp.error;
   if (groupsResp.error) throw groupsResp.error;
-  if (dataResp.error) throw dataResp.error;
 
   const pollutants = pollutantsResp.data || [];
   const groups = groupsResp.data || [];
-  const timeseries = dataResp.data || [];
+  
+  console.log(`Loaded ${pollutants.length} pollutants, ${groups.length} groups, ${timeseries.length} data points`);
+  
+  return { pollutants, groups, timeseries };
+}
+
+/**
+ * Put loaded tables into the in-memory cache and rebuild lookups
+ * @param {Object} data - {pollutants, groups, timeseries}
+ * @param {number} retrievedAt - When the tables were fetched from Supabase (ms since epoch)
+ */
+function applySharedData(data, retrievedAt) {
+  const cache = window.SharedDataCache;
   
   // Store data in cache
-  cache.data = { pollutants, groups, timeseries };
+  cache.data = {
+    pollutants: data.pollutants || [],
+    groups: data.groups || [],
+    timeseries: data.timeseries || [],
+    retrievedAt: retrievedAt
+  };
   
   // Build lookup maps for performance
-  buildLookupMaps(pollutants, groups);
+  buildLookupMaps(cache.data.pollutants, cache.data.groups);
   
   // Store globally for backwards compatibility
-  window.allPollutantsData = pollutants;
-  window.allGroupsData = groups;
-  
-  console.log(`Loaded ${pollutants.length} pollutants, ${groups.length} groups, ${timeseries.length} data points`);
-  
-  return cache.data;
+  window.allPollutantsData = cache.data.pollutants;
+  window.allGroupsData = cache.data.groups;
+}
+
+/**
+ * Build a cheap server-side version marker from exact row counts of each table
+ * Returns null if any count is unavailable
+ */
+async function fetchDatasetVersion(client, edition) {
+  if (!window.SupabasePaging) return null;
+
+  const counts = await Promise.all([
+    window.SupabasePaging.countTableRows(client, SHARED_TABLES.pollutants),
+    window.SupabasePaging.countTableRows(client, SHARED_TABLES.groups),
+    window.SupabasePaging.countTableRows(client, getTimeseriesTableName(edition))
+  ]);
+
+  if (counts.some(count => count === null)) return null;
+  return counts.join(':');
+}
+
+/**
+ * Persist freshly fetched data with its version marker (best effort)
+ */
+async function persistData(edition, data) {
+  try {
+    const version = await fetchDatasetVersion(getSupabaseClient(), edition);
+    await writePersistedDataset(getTimeseriesTableName(edition), version, data);
+  } catch (error) {
+    console.warn('Could not persist shared data:', error);
+  }
+}
+
+/**
+ * Compare the persisted copy against the server and refetch if it has changed
+ * or is older than PERSISTED_MAX_AGE_MS. Listeners are told about new data.
+ */
+async function refreshInBackground(edition, record) {
+  try {
+    const client = getSupabaseClient();
+    const version = await fetchDatasetVersion(client, edition);
+    const expired = Date.now() - record.savedAt > PERSISTED_MAX_AGE_MS;
+
+    if (!expired && (version === null || version === record.version)) {
+      console.log('Persisted shared data is up to date');
+      return;
+    }
+
+    console.log(`Refreshing ${edition} data in background (persisted ${record.version}, server ${version})`);
+    const data = await loadDataFromSupabase(edition);
+    await writePersistedDataset(record.table, version, data);
+
+    // Only swap the live cache if it holds this edition and the user has not moved on meanwhile
+    if (window.SharedDataCache.isLoaded && window.SharedDataCache.edition === edition) {
+      applySharedData(data, Date.now());
+      notifyDataUpdated(window.SharedDataCache.data);
+    }
+  } catch (error) {
+    console.warn('Background refresh of shared data failed:', error);
+  }
+}
+
+/**
+ * Register a callback for data replaced by a background refresh
+ */
+function onDataUpdated(callback) {
+  const cache = window.SharedDataCache;
+  cache.updateListeners = cache.updateListeners || [];
+  cache.updateListeners.push(callback);
+}
+
+function notifyDataUpdated(data) {
+  (window.SharedDataCache.updateListeners || []).forEach(callback => {
+    try {
+      callback(data);
+    } catch (error) {
+      console.error('Shared data update listener failed:', error);
+    }
+  });
+}
+
+/**
+ * IndexedDB helpers - all resolve to null/undefined instead of rejecting when
+ * IndexedDB is unavailable (private browsing, file:// pages, old browsers)
+ */
+function openPersistedDb() {
+  return new Promise(resolve => {
+    if (!window.indexedDB) {
+      resolve(null);
+      return;
+    }
+    try {
+      const request = window.indexedDB.open(PERSISTED_DB_NAME, PERSISTED_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PERSISTED_STORE)) {
+          db.createObjectStore(PERSISTED_STORE, { keyPath: 'table' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('IndexedDB unavailable:', error);
+      resolve(null);
+    }
+  });
+}
+
+async function runPersistedRequest(mode, operation) {
+  const db = await openPersistedDb();
+  if (!db) return null;
+
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction(PERSISTED_STORE, mode);
+      const request = operation(tx.objectStore(PERSISTED_STORE));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = tx.onabort = () => {
+        console.warn('IndexedDB request failed:', tx.error);
+        db.close();
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('IndexedDB request failed:', error);
+      db.close();
+      resolve(null);
+    }
+  });
+}
+
+function readPersistedDataset(table) {
+  return runPersistedRequest('readonly', store => store.get(table));
+}
+
+function writePersistedDataset(table, version, data) {
+  return runPersistedRequest('readwrite', store => store.put({
+    table,
+    version,
+    savedAt: Date.now(),
+    data: {
+      pollutants: data.pollutants,
+      groups: data.groups,
+      timeseries: data.timeseries
+    }
+  }));
+}
+
+function clearPersistedDatasets() {
+  return runPersistedRequest('readwrite', store => store.clear());
 }
 
 /**
@@ -187,27 +431,40 @@ function getAllTimeseries() {
 }
 
 /**
- * Check if data is already loaded
+ * Check if data is already loaded (optionally for a specific edition)
  */
-function isDataLoaded() {
-  return window.SharedDataCache.isLoaded;
+function isDataLoaded(edition) {
+  const cache = window.SharedDataCache;
+  if (!cache.isLoaded) return false;
+  return !edition || cache.edition === edition;
+}
+
+/**
+ * Dataset edition currently held in the cache
+ */
+function getLoadedEdition() {
+  return window.SharedDataCache.edition;
 }
 
 /**
  * Clear cache (useful for testing or forced refresh)
+ * Also removes the persisted IndexedDB copy; returns a promise for that removal
  */
 function clearCache() {
   const cache = window.SharedDataCache;
   cache.isLoaded = false;
+  cache.edition = null;
   cache.isLoading = false;
-  cache.loadPromise = null;
-  cache.data = { pollutants: [], groups: [], timeseries: [] };
+  cache.pendingLoads = new Map();
+  cache.data = { pollutants: [], groups: [], timeseries: [], retrievedAt: null };
   
   Object.keys(cache.maps).forEach(key => {
     if (typeof cache.maps[key] === 'object') {
       Object.keys(cache.maps[key]).forEach(prop => delete cache.maps[key][prop]);
     }
   });
+
+  return clearPersistedDatasets();
 }
 
 // Export functions to global scope
@@ -223,7 +480,9 @@ window.SharedDataLoader = {
   getAllGroups,
   getAllTimeseries,
   isDataLoaded,
-  clearCache
+  getLoadedEdition,
+  clearCache,
+  onDataUpdated
 };
 
 console.log('Shared Data Loader initialized');
\ No newline at end of file
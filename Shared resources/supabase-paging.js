@@ -0,0 +1,89 @@
+/**
+ * Shared Supabase Paging Helper
+ * Fetches every row of a table in fixed-size ranges so results are not
+ * truncated by the server's default row limit (1000 rows per request)
+ */
+
+const SUPABASE_PAGE_SIZE = 1000;
+
+/**
+ * Count the rows in a table with a head-only request
+ * @param {object} client - Supabase client instance
+ * @param {string} table - Table name
+ * @returns {Promise<number|null>} Exact row count, or null if unavailable
+ */
+async function countTableRows(client, table) {
+  const { count, error } = await client
+    .from(table)
+    .select('*', { count: 'exact', head: true });
+
+  if (error) {
+    console.warn(`Could not count rows in ${table}:`, error);
+    return null;
+  }
+  return typeof count === 'number' ? count : null;
+}
+
+/**
+ * Fetch all rows from a table, one page at a time
+ * @param {object} client - Supabase client instance
+ * @param {string} table - Table name
+ * @param {Object} options - Paging options
+ * @param {number} options.pageSize - Rows per request (default 1000)
+ * @param {Array<string>} options.orderBy - Columns giving a stable row order across pages
+ * @param {Function} options.onProgress - Called with {table, loaded, total} after each page
+ * @returns {Promise<Array>} Every row in the table
+ */
+async function fetchAllRows(client, table, options = {}) {
+  const pageSize = options.pageSize || SUPABASE_PAGE_SIZE;
+  const orderBy = options.orderBy || [];
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+
+  const total = await countTableRows(client, table);
+  const rows = [];
+
+  if (onProgress) onProgress({ table, loaded: 0, total });
+
+  while (true) {
+    const from = rows.length;
+    let query = client.from(table).select('*');
+    orderBy.forEach(column => {
+      query = query.order(column, { ascending: true });
+    });
+
+    const { data, error } = await query.range(from, from + pageSize - 1);
+    if (error) throw error;
+
+    const page = data || [];
+    rows.push(...page);
+
+    if (onProgress) onProgress({ table, loaded: rows.length, total });
+
+    if (page.length === 0) break;
+    if (total !== null) {
+      // The server's own row limit may be below pageSize, so page until the count is reached
+      if (rows.length >= total) break;
+    } else if (page.length < pageSize) {
+      // Without a count, a short page is the only sign the table is exhausted
+      break;
+    }
+  }
+
+  if (total !== null && rows.length < total) {
+    throw new Error(`Row count mismatch for ${table}: fetched ${rows.length} of ${total} rows`);
+  }
+  if (total !== null && rows.length > total) {
+    console.warn(`Row count mismatch for ${table}: fetched ${rows.length} rows, expected ${total}`);
+  } else {
+    console.log(`Fetched ${rows.length} rows from ${table} in pages of ${pageSize}`);
+  }
+
+  return rows;
+}
+
+// Export paging functions
+window.SupabasePaging = {
+  SUPABASE_PAGE_SIZE,
+  countTableRows,
+  fetchAllRows
+};
@@ -0,0 +1,339 @@
+/**
+ * Batch Export Module
+ * Renders the current chart once per chosen year (or pollutant) off-screen and
+ * bundles the PNGs with a CSV manifest into a single ZIP download. Everything
+ * else about the chart (groups, axes, metric, dataset) stays as it is on screen.
+ */
+
+const BATCH_EXPORT_SCALE = 2; // Smaller than a single PNG download so dozens of charts stay a sensible size
+const BATCH_EXPORT_DRAW_TIMEOUT_MS = 10000; // Give up waiting for the on-screen chart after this long
+
+let batchOptions = null;
+let batchRunning = false;
+let batchCancelled = false;
+
+/**
+ * Store the callbacks the batch needs from the app
+ * @param {Object} options - Batch options
+ * @param {Function} options.getYears - Returns the available years
+ * @param {Function} options.getPollutants - Returns the pollutants that can be charted: [{id, name}]
+ * @param {Function} options.getSelection - Returns the chart now on screen: {year, pollutantId, zoomWindow}
+ * @param {Function} options.showSelection - Draws a selection; resolves true once drawn, false if it has no chart
+ */
+function setupBatchExport(options = {}) {
+  batchOptions = options;
+}
+
+/**
+ * @returns {boolean} Whether a batch is being rendered (the app skips per-draw analytics meanwhile)
+ */
+function isBatchRunning() {
+  return batchRunning;
+}
+
+/**
+ * Selections to render, one per item
+ * @param {string} mode - 'years' or 'pollutants'
+ * @param {Array<number>} values - Chosen years or pollutant IDs
+ * @param {Object} current - Selection on screen when the batch started
+ * @returns {Array<Object>} {year, pollutantId, zoomWindow}
+ */
+function buildBatchSelections(mode, values, current) {
+  return values.map(value => mode === 'years'
+    ? { year: value, pollutantId: current.pollutantId, zoomWindow: current.zoomWindow }
+    // A zoom window only makes sense for the pollutant it was drawn on
+    : { year: current.year, pollutantId: value, zoomWindow: null });
+}
+
+/**
+ * Name of the ZIP file
+ * @param {string} mode - 'years' or 'pollutants'
+ * @param {Array<Object>} selections - Rendered selections
+ * @returns {string} File name with unsafe characters replaced by '_'
+ */
+function buildBatchFileName(mode, selections) {
+  const chartData = window.ChartRenderer.getCurrentChartData();
+  const xLabel = (chartData && chartData.xName) || 'Activity';
+  const edition = window.supabaseModule.datasetEdition ? `_${window.supabaseModule.datasetEdition}` : '';
+  let subject;
+  if (mode === 'years') {
+    const years = selections.map(selection => selection.year);
+    subject = `${window.supabaseModule.getPollutantName(selections[0].pollutantId)}_vs_${xLabel}_${Math.min(...years)}-${Math.max(...years)}`;
+  } else {
+    subject = `Pollutants_vs_${xLabel}_${selections[0].year}`;
+  }
+  return `${subject}${edition}_batch.zip`.replace(/[^a-z0-9_\-.]/gi, '_');
+}
+
+/**
+ * Turn a PNG data URL into bytes for the ZIP
+ * @param {string} dataURL - PNG data URL
+ * @returns {Uint8Array} PNG file
+ */
+function batchImageBytes(dataURL) {
+  return Uint8Array.from(atob(dataURL.split(',')[1]), ch => ch.charCodeAt(0));
+}
+
+/**
+ * Status message the chart is showing (e.g. hidden points or no data), if any
+ * @returns {string} Message text, or '' when none is shown
+ */
+function readBatchStatusMessage() {
+  const messageDiv = document.getElementById('statusMessage');
+  return messageDiv && messageDiv.style.display !== 'none' ? messageDiv.textContent : '';
+}
+
+/**
+ * Render every selection and bundle the images with a manifest
+ * @param {Array<Object>} selections - {year, pollutantId, zoomWindow} to render in turn
+ * @param {Function} onProgress - Called with (done, total, label) as each item starts and at the end
+ * @returns {Promise<Object|null>} {blob, rows}, or null if cancelled
+ */
+async function renderBatch(selections, onProgress) {
+  const files = [];
+  const rows = [];
+
+  for (let i = 0; i < selections.length; i++) {
+    if (batchCancelled) return null;
+    const selection = selections[i];
+    const pollutantName = window.supabaseModule.getPollutantName(selection.pollutantId);
+    onProgress(i, selections.length, `${pollutantName}, ${selection.year}`);
+
+    const row = {
+      file: '',
+      year: selection.year,
+      pollutant_id: selection.pollutantId,
+      pollutant: pollutantName,
+      x_variable: null,
+      dataset_edition: window.supabaseModule.datasetEdition,
+      group_count: null,
+      point_count: null,
+      status: 'skipped',
+      note: '',
+      share_url: null
+    };
+
+    try {
+      const drawn = await batchOptions.showSelection(selection);
+      row.note = readBatchStatusMessage();
+      row.share_url = window.location.origin + window.location.pathname + '?' + window.ScatterApp.buildShareQuery();
+      if (drawn) {
+        const chartData = window.ChartRenderer.getCurrentChartData();
+        const image = await window.ExportShare.generateChartImage({ scale: BATCH_EXPORT_SCALE });
+        const imageData = window.ExportShare.addPngTextMetadata(image, window.ExportShare.buildExportMetadata(chartData));
+        row.file = `${window.ExportShare.buildExportBaseName(chartData)}.png`;
+        row.x_variable = chartData.xName || 'Activity Data';
+        row.group_count = chartData.groupIds.length;
+        row.point_count = chartData.startYear ? chartData.trajectories.length : chartData.dataPoints.length;
+        row.status = 'exported';
+        files.push({ name: row.file, data: batchImageBytes(imageData) });
+      }
+    } catch (error) {
+      console.error(`Batch export failed for ${pollutantName} ${selection.year}:`, error);
+      row.status = 'failed';
+      row.note = error.message;
+    }
+    rows.push(row);
+  }
+
+  if (batchCancelled) return null;
+  onProgress(selections.length, selections.length, 'Building ZIP…');
+
+  const metadata = {
+    Title: 'Scatter chart batch export',
+    Source: window.supabaseModule.datasetEdition ? `NAEI ${window.supabaseModule.datasetEdition} dataset` : 'NAEI dataset',
+    'Creation Time': new Date().toISOString()
+  };
+  files.push({ name: 'manifest.csv', data: window.ExportShare.dataRowsToCsv(rows, metadata) });
+  return { blob: window.ExportShare.buildZipBlob(files), rows };
+}
+
+/**
+ * Open the batch export dialog for the chart on screen
+ */
+function showBatchExportDialog() {
+  if (!batchOptions) return;
+  if (window.SmallMultiples.getSmallMultiplesData()) {
+    alert('Batch export works on a single chart. Switch off small multiples first.');
+    return;
+  }
+  const current = batchOptions.getSelection();
+  if (!current.year || !current.pollutantId || !window.ChartRenderer.getCurrentChartData()) {
+    alert('No chart available to export');
+    return;
+  }
+
+  const dialog = document.createElement('div');
+  dialog.className = 'modal-overlay';
+  dialog.onclick = (e) => {
+    if (e.target === dialog && !batchRunning) {
+      document.body.removeChild(dialog);
+    }
+  };
+
+  const content = document.createElement('div');
+  content.className = 'modal-content batch-export';
+  content.innerHTML = `
+    <h3 style="margin: 0 0 16px 0; color: #333;">🗂️ Batch Export</h3>
+    <p style="margin: 0 0 16px 0; color: #666;">Download one PNG per year or pollutant, with a CSV manifest, in a single ZIP file. The groups and chart settings stay as they are.</p>
+
+    <div class="batch-export-modes">
+      <label><input type="radio" name="batchMode" value="years" checked> Every year (${window.supabaseModule.getPollutantName(current.pollutantId)})</label>
+      <label><input type="radio" name="batchMode" value="pollutants"> Every pollutant (${current.year})</label>
+    </div>
+
+    <div class="batch-export-actions">
+      <button type="button" id="batchSelectAll">All</button>
+      <button type="button" id="batchSelectNone">None</button>
+    </div>
+    <div class="batch-export-list" id="batchExportList"></div>
+
+    <div class="batch-export-progress" id="batchExportProgress" hidden>
+      <progress id="batchProgressBar" value="0" max="1"></progress>
+      <span id="batchProgressText"></span>
+    </div>
+
+    <div style="margin: 16px 0 0 0; display: flex; gap: 8px; justify-content: flex-end;">
+      <button id="batchStartBtn" style="padding: 8px 16px; background: #9C27B0; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">
+        ⬇️ Export ZIP
+      </button>
+      <button id="batchCancelBtn" style="padding: 8px 16px; background: #f44336; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;" disabled>
+        Cancel
+      </button>
+      <button id="batchCloseBtn" style="padding: 8px 16px; background: #666; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">
+        Close
+      </button>
+    </div>
+  `;
+
+  dialog.appendChild(content);
+  document.body.appendChild(dialog);
+
+  const list = content.querySelector('#batchExportList');
+  const startBtn = content.querySelector('#batchStartBtn');
+  const cancelBtn = content.querySelector('#batchCancelBtn');
+  const closeBtn = content.querySelector('#batchCloseBtn');
+  const progress = content.querySelector('#batchExportProgress');
+  const progressBar = content.querySelector('#batchProgressBar');
+  const progressText = content.querySelector('#batchProgressText');
+  const getMode = () => content.querySelector('input[name="batchMode"]:checked').value;
+  const getChecked = () => [...list.querySelectorAll('input:checked')].map(box => parseInt(box.value));
+
+  // One checkbox per year or pollutant, all ticked
+  const fillList = () => {
+    const items = getMode() === 'years'
+      ? [...batchOptions.getYears()].sort((a, b) => a - b).map(year => ({ value: year, label: String(year) }))
+      : batchOptions.getPollutants().map(p => ({ value: p.id, label: p.name }));
+    list.innerHTML = '';
+    items.forEach(item => {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = item.value;
+      box.checked = true;
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(` ${item.label}`));
+      list.appendChild(label);
+    });
+    startBtn.disabled = items.length === 0;
+  };
+  fillList();
+
+  content.querySelectorAll('input[name="batchMode"]').forEach(radio => {
+    radio.addEventListener('change', fillList);
+  });
+  content.querySelector('#batchSelectAll').addEventListener('click', () => {
+    list.querySelectorAll('input').forEach(box => { box.checked = true; });
+    startBtn.disabled = false;
+  });
+  content.querySelector('#batchSelectNone').addEventListener('click', () => {
+    list.querySelectorAll('input').forEach(box => { box.checked = false; });
+    startBtn.disabled = true;
+  });
+  list.addEventListener('change', () => {
+    startBtn.disabled = getChecked().length === 0;
+  });
+
+  const setRunning = running => {
+    batchRunning = running;
+    startBtn.disabled = running;
+    closeBtn.disabled = running;
+    cancelBtn.disabled = !running;
+    content.querySelectorAll('.batch-export-modes input, .batch-export-actions button, .batch-export-list input')
+      .forEach(input => { input.disabled = running; });
+  };
+
+  startBtn.addEventListener('click', async () => {
+    const mode = getMode();
+    const selections = buildBatchSelections(mode, getChecked(), current);
+    if (selections.length === 0) return;
+
+    window.Playback.resetPlayback(); // Fixed playback axes would carry into every image
+    batchCancelled = false;
+    setRunning(true);
+    progress.hidden = false;
+
+    let result = null;
+    try {
+      result = await renderBatch(selections, (done, total, label) => {
+        progressBar.max = total;
+        progressBar.value = done;
+        progressText.textContent = done < total ? `${done + 1} of ${total}: ${label}` : label;
+      });
+    } catch (error) {
+      console.error('Batch export failed:', error);
+      alert('Failed to export batch: ' + error.message);
+    } finally {
+      // Put the chart back as it was before the batch
+      await batchOptions.showSelection(current);
+      setRunning(false);
+      startBtn.disabled = getChecked().length === 0;
+    }
+
+    if (!result) {
+      progressText.textContent = batchCancelled ? 'Cancelled – nothing was downloaded' : '';
+      return;
+    }
+
+    const exported = result.rows.filter(row => row.status === 'exported').length;
+    const filename = buildBatchFileName(mode, selections);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(result.blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    progressText.textContent = `✅ ${exported} of ${selections.length} charts exported` +
+      (exported < selections.length ? ' (see manifest.csv for the rest)' : '');
+
+    if (window.Analytics && supabase) {
+      window.Analytics.trackAnalytics(supabase, 'scatter_batch_downloaded', {
+        mode: mode,
+        year: mode === 'years' ? null : current.year,
+        pollutant: mode === 'years' ? window.supabaseModule.getPollutantName(current.pollutantId) : null,
+        item_count: selections.length,
+        exported_count: exported,
+        group_count: window.ScatterApp.getSelectedGroupIds().length,
+        dataset_edition: window.supabaseModule.datasetEdition,
+        filename: filename
+      });
+    }
+  });
+
+  cancelBtn.addEventListener('click', () => {
+    batchCancelled = true;
+    cancelBtn.disabled = true;
+    progressText.textContent = 'Cancelling after the current chart…';
+  });
+
+  closeBtn.addEventListener('click', () => {
+    document.body.removeChild(dialog);
+  });
+}
+
+// Export batch functions
+window.BatchExport = {
+  BATCH_EXPORT_DRAW_TIMEOUT_MS,
+  setupBatchExport,
+  isBatchRunning,
+  showBatchExportDialog
+};
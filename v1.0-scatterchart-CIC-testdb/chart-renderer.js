@@ -6,6 +6,7 @@
 let chart = null;
 let currentChartData = null;
 let currentOptions = null;
+let currentChartType = null; // 'ScatterChart' or 'BubbleChart', the type of the chart instance
 let googleChartsReady = false;
 
 // Load Google Charts and set up callback
@@ -15,58 +16,579 @@ google.charts.setOnLoadCallback(() => {
   console.log('Google Charts loaded successfully');
 });
 
+/**
+ * Format a revision change as "+1,234 TJ (+5.2%)"
+ * @param {Object} change - {absolute, percent} from supabaseModule.getRevisionData
+ * @param {string} unit - Unit label
+ * @returns {string} Formatted change
+ */
+function formatRevisionChange(change, unit) {
+  const sign = change.absolute > 0 ? '+' : '';
+  const absolute = `${sign}${change.absolute.toLocaleString(undefined, { maximumFractionDigits: 3 })}${unit ? ' ' + unit : ''}`;
+  if (change.percent === null) return `${absolute} (no previous value)`;
+  const percentSign = change.percent > 0 ? '+' : '';
+  return `${absolute} (${percentSign}${change.percent.toFixed(1)}%)`;
+}
+
+/**
+ * Format an emission intensity, which can be many orders of magnitude below 1
+ * @param {number|null} value - Intensity
+ * @returns {string} Value to three significant figures, or "n/a" without activity
+ */
+function formatIntensity(value) {
+  if (value === null || value === undefined) return 'n/a';
+  return value.toLocaleString(undefined, { maximumSignificantDigits: 3 });
+}
+
+/**
+ * Tooltip lines for a point's values
+ * @param {Object} point - Point with xValue, activityData, pollutantValue and emissionIntensity
+ * @param {Object} units - {activity, pollutant, intensity, x, xName} labels
+ * @returns {string} Lines joined with newlines
+ */
+function formatPointValues(point, units) {
+  const lines = [];
+  if (units.xName) {
+    lines.push(`${units.xName}: ${point.xValue.toLocaleString()} ${units.x}`);
+  }
+  if (point.activityData !== null) {
+    lines.push(`Activity: ${point.activityData.toLocaleString()} ${units.activity}`);
+  }
+  lines.push(`Pollutant Value: ${point.pollutantValue.toLocaleString()} ${units.pollutant}`);
+  lines.push(`Intensity: ${formatIntensity(point.emissionIntensity)} ${units.intensity}`);
+  return lines.join('\n');
+}
+
+/**
+ * Revision tooltip lines for a group
+ * @param {Object} revision - Pair from supabaseModule.getRevisionData
+ * @param {Object} units - {pollutant, x, xName} labels
+ * @returns {string} Lines joined with newlines
+ */
+function formatRevisionLines(revision, units) {
+  return `Revision ${revision.older.edition} → ${revision.newer.edition}:\n` +
+    `${units.xName || 'Activity'}: ${formatRevisionChange(revision.change.xValue, units.x)}\n` +
+    `Pollutant: ${formatRevisionChange(revision.change.pollutantValue, units.pollutant)}`;
+}
+
+/**
+ * Value plotted on the y-axis for a point
+ * @param {Object} point - Point with pollutantValue and emissionIntensity
+ * @param {string} yMetric - 'emissions' or 'intensity'
+ * @returns {number|null} y value
+ */
+function plotValue(point, yMetric) {
+  return yMetric === 'intensity' ? point.emissionIntensity : point.pollutantValue;
+}
+
+/**
+ * Add one row per group for the selected year, plus hollow comparison-edition
+ * points and revision arrows when comparing editions
+ * @param {Object} data - Google DataTable
+ * @param {Array} overlays - Overlay shapes (appended to)
+ * @param {Array} dataPoints - Points from supabaseModule.getScatterData
+ * @param {Array} revisions - Pairs from supabaseModule.getRevisionData
+ * @param {string|null} compareEdition - Edition being compared against
+ * @param {Object} units - {activity, pollutant, intensity, x, xName} labels
+ * @param {string} yMetric - 'emissions' or 'intensity'
+ */
+function addSingleYearRows(data, overlays, dataPoints, revisions, compareEdition, units, yMetric) {
+  const revisionByGroup = new Map(revisions.map(revision => [revision.groupId, revision]));
+  const currentEdition = window.supabaseModule.datasetEdition;
+
+  dataPoints.forEach(point => {
+    const color = window.Colors.getColorForGroup(point.groupName);
+    // Create tooltip with the x-axis and pollutant units
+    let tooltip = `${point.groupName}\n${formatPointValues(point, units)}`;
+
+    const revision = revisionByGroup.get(point.groupId);
+    if (revision) {
+      tooltip = `${point.groupName} (NAEI ${currentEdition})\n` +
+        `${formatPointValues(point, units)}\n` +
+        formatRevisionLines(revision, units);
+    }
+    
+    data.addRow([
+      point.xValue,
+      plotValue(point, yMetric),
+      tooltip,
+      `point {fill-color: ${color}; size: 8;}`
+    ]);
+  });
+
+  // Comparison edition points are hollow, with an arrow from older to newer edition
+  revisions.forEach(revision => {
+    const color = window.Colors.getColorForGroup(revision.groupName);
+    const other = revision.older.edition === compareEdition ? revision.older : revision.newer;
+    const tooltip = `${revision.groupName} (NAEI ${compareEdition})\n` +
+      `${formatPointValues(other, units)}\n` +
+      formatRevisionLines(revision, units);
+
+    data.addRow([
+      other.xValue,
+      plotValue(other, yMetric),
+      tooltip,
+      `point {fill-color: #ffffff; stroke-color: ${color}; stroke-width: 2; size: 7;}`
+    ]);
+
+    overlays.push({
+      type: 'arrow',
+      from: { x: revision.older.xValue, y: plotValue(revision.older, yMetric) },
+      to: { x: revision.newer.xValue, y: plotValue(revision.newer, yMetric) },
+      color: color,
+      width: 2
+    });
+  });
+}
+
+/**
+ * Add one row per group per year, with a connecting path and start/end year
+ * labels drawn as overlays
+ * @param {Object} data - Google DataTable
+ * @param {Array} overlays - Overlay shapes (appended to)
+ * @param {Array} trajectories - Paths from supabaseModule.getTrajectoryData
+ * @param {Object} units - {activity, pollutant, intensity, x, xName} labels
+ * @param {string} yMetric - 'emissions' or 'intensity'
+ */
+function addTrajectoryRows(data, overlays, trajectories, units, yMetric) {
+  trajectories.forEach(trajectory => {
+    const color = window.Colors.getColorForGroup(trajectory.groupName);
+    const points = trajectory.points;
+    const lastIndex = points.length - 1;
+
+    points.forEach((point, index) => {
+      const tooltip = `${trajectory.groupName} (${point.year})\n${formatPointValues(point, units)}`;
+
+      // Start year is a hollow ring, end year a larger filled point
+      let style = `point {fill-color: ${color}; size: 4;}`;
+      if (index === 0) {
+        style = `point {fill-color: #ffffff; stroke-color: ${color}; stroke-width: 2; size: 8;}`;
+      } else if (index === lastIndex) {
+        style = `point {fill-color: ${color}; size: 9;}`;
+      }
+
+      data.addRow([point.xValue, plotValue(point, yMetric), tooltip, style]);
+    });
+
+    if (points.length > 1) {
+      overlays.push({
+        type: 'path',
+        points: points.map(point => ({ x: point.xValue, y: plotValue(point, yMetric) })),
+        color: color,
+        width: 2,
+        opacity: 0.7
+      });
+    }
+
+    [points[0], points[lastIndex]].forEach((point, index) => {
+      if (index === 1 && lastIndex === 0) return;
+      overlays.push({
+        type: 'text',
+        at: { x: point.xValue, y: plotValue(point, yMetric) },
+        text: String(point.year),
+        color: color,
+        offset: { x: 10, y: -10 },
+        fontSize: 12,
+        fontWeight: 'bold'
+      });
+    });
+  });
+}
+
+const BUBBLE_MIN_RADIUS = 4;
+const BUBBLE_MAX_RADIUS = 30;
+
+/**
+ * Values that size each group's bubble
+ * @param {number} year - Year
+ * @param {Array} groupIds - Group IDs
+ * @param {Object} bubbleSize - {metric: 'intensity'} or {metric: 'pollutant', pollutantId}
+ * @param {Array} dataPoints - The year's points for the y-axis pollutant (supply emission intensity)
+ * @param {number} xPollutantId - Pollutant on the x-axis, so the same groups qualify
+ * @returns {Map} groupId -> size value (groups without one are left out)
+ */
+function getBubbleSizes(year, groupIds, bubbleSize, dataPoints, xPollutantId) {
+  const sizes = new Map();
+  if (bubbleSize.metric === 'intensity') {
+    dataPoints.forEach(point => {
+      if (point.emissionIntensity !== null) sizes.set(point.groupId, point.emissionIntensity);
+    });
+  } else {
+    const edition = window.supabaseModule.datasetEdition;
+    window.supabaseModule.getScatterData(year, bubbleSize.pollutantId, groupIds, edition, xPollutantId).forEach(point => {
+      sizes.set(point.groupId, point.pollutantValue);
+    });
+  }
+  return sizes;
+}
+
+/**
+ * Label and unit for the bubble size values
+ * @param {Object} bubbleSize - {metric: 'intensity'} or {metric: 'pollutant', pollutantId}
+ * @param {Object} units - {intensity} unit labels for the y-axis pollutant
+ * @param {string} pollutantName - y-axis pollutant name
+ * @returns {Object} {label, unit}
+ */
+function describeBubbleSize(bubbleSize, units, pollutantName) {
+  if (bubbleSize.metric === 'intensity') {
+    return { label: `${pollutantName} intensity`, unit: units.intensity };
+  }
+  return {
+    label: window.supabaseModule.getPollutantName(bubbleSize.pollutantId),
+    unit: window.supabaseModule.getPollutantUnit(bubbleSize.pollutantId)
+  };
+}
+
+/**
+ * Bubble radius for a size value: the minimum radius plus a share that grows with √value,
+ * so larger values get larger areas without small ones vanishing
+ * @param {number} value - Size value (>= 0)
+ * @param {number} maxValue - Largest size value on the chart
+ * @returns {number} Radius in pixels
+ */
+function bubbleRadius(value, maxValue) {
+  const share = maxValue > 0 ? Math.sqrt(Math.max(value, 0) / maxValue) : 0;
+  return BUBBLE_MIN_RADIUS + share * (BUBBLE_MAX_RADIUS - BUBBLE_MIN_RADIUS);
+}
+
+/**
+ * Add one bubble per group and a size key overlay
+ * Rows are [id, x, y, colour, size]; the size cell holds √value so bubbles grow with area rather than radius,
+ * with the real value as its formatted text for the tooltip
+ * @param {Object} data - Google DataTable with bubble columns
+ * @param {Array} overlays - Overlay shapes (appended to)
+ * @param {Array} dataPoints - Points that have a size value
+ * @param {Map} sizes - groupId -> size value
+ * @param {number} maxSize - Size value given the largest bubble
+ * @param {Object} sizeLabel - {label, unit} from describeBubbleSize
+ * @param {Object} units - {activity, pollutant, intensity, x, xName} labels
+ * @param {string} yMetric - 'emissions' or 'intensity'
+ */
+function addBubbleRows(data, overlays, dataPoints, sizes, maxSize, sizeLabel, units, yMetric) {
+  const yUnit = yMetric === 'intensity' ? units.intensity : units.pollutant;
+  const format = value => value.toLocaleString(undefined, { maximumSignificantDigits: 4 });
+
+  dataPoints.forEach(point => {
+    const y = plotValue(point, yMetric);
+    const size = sizes.get(point.groupId);
+    data.addRow([
+      point.groupName,
+      { v: point.xValue, f: `${format(point.xValue)} ${units.x}` },
+      { v: y, f: `${format(y)} ${yUnit}` },
+      point.groupName,
+      { v: Math.sqrt(size), f: `${format(size)} ${sizeLabel.unit}` }
+    ]);
+  });
+
+  // Key circles at the largest value and two smaller reference values
+  const keyValues = [maxSize, maxSize / 4, maxSize / 16]
+    .map(value => Number(value.toPrecision(2)))
+    .filter((value, index, values) => value > 0 && values.indexOf(value) === index);
+  if (keyValues.length === 0) return;
+  overlays.push({
+    type: 'sizeKey',
+    title: `Size: ${sizeLabel.label}${sizeLabel.unit ? ` (${sizeLabel.unit})` : ''}`,
+    entries: keyValues.map(value => ({
+      radius: bubbleRadius(value, maxSize),
+      label: value.toLocaleString(undefined, { notation: 'compact', maximumSignificantDigits: 2 })
+    }))
+  });
+}
+
+const TREND_LINE_COLOR = '#333333';
+
+/**
+ * Fit a trend line through the plotted points and add it, with a stats box, to the overlays
+ * @param {Array} overlays - Overlay shapes (appended to)
+ * @param {Array} dataPoints - Plotted single-year points
+ * @param {string} model - 'linear' or 'loglog'
+ * @param {string} yMetric - 'emissions' or 'intensity'
+ * @param {Object} axisScales - {x, y} scales, so the line stays on a log axis
+ * @param {Object} units - {activity, pollutant, intensity, x, xName} labels
+ * @returns {Object|null} The fit from Regression.fitTrend, or null if there were too few points
+ */
+function addTrendOverlay(overlays, dataPoints, model, yMetric, axisScales, units) {
+  const points = dataPoints.map(point => ({ x: point.xValue, y: plotValue(point, yMetric) }));
+  const fit = window.Regression.fitTrend(points, model);
+  const isLogLog = model === window.Regression.REGRESSION_MODELS.loglog;
+
+  if (!fit) {
+    overlays.push({
+      type: 'box',
+      lines: ['Trend line needs at least two points', `with different ${units.xName || 'Activity Data'} values`]
+    });
+    return null;
+  }
+
+  const samples = window.Regression.sampleTrend(fit).filter(p => isFinite(p.y) &&
+    (axisScales.x !== 'log' || p.x > 0) && (axisScales.y !== 'log' || p.y > 0));
+  if (samples.length > 1) {
+    overlays.push({ type: 'path', points: samples, color: TREND_LINE_COLOR, width: 2, dash: [8, 5], clip: true });
+  }
+
+  const stat = value => Number(value.toPrecision(3)).toLocaleString(undefined, { maximumSignificantDigits: 3 });
+  const signed = value => `${value < 0 ? '−' : '+'} ${stat(Math.abs(value))}`;
+  const yUnit = yMetric === 'intensity' ? units.intensity : units.pollutant;
+
+  const lines = isLogLog
+    ? [
+        `Log-log fit (n = ${fit.n})`,
+        `ln y = ${stat(fit.slope)} ln x ${signed(fit.intercept)}`,
+        `Elasticity (slope): ${stat(fit.slope)}`,
+        `Intercept: ${stat(fit.intercept)}`,
+        `R² = ${fit.rSquared.toFixed(3)}`
+      ]
+    : [
+        `Linear fit (n = ${fit.n})`,
+        `y = ${stat(fit.slope)}x ${signed(fit.intercept)}`,
+        `Slope: ${stat(fit.slope)} ${yUnit} per ${units.x}`,
+        `Intercept: ${stat(fit.intercept)} ${yUnit}`,
+        `R² = ${fit.rSquared.toFixed(3)}`
+      ];
+  if (fit.excluded > 0) {
+    lines.push(`${fit.excluded} point${fit.excluded === 1 ? '' : 's'} ≤ 0 left out`);
+  }
+
+  overlays.push({ type: 'box', lines });
+  return fit;
+}
+
+const LOG_AXIS_MIN_PADDING = 1.25; // Fixed log ranges start this factor below the smallest value
+
+/**
+ * Drop points that cannot be placed: zero or negative values on a log axis,
+ * and zero activity when plotting emission intensity
+ * @param {Object} axisScales - {x, y}, each 'linear' or 'log'
+ * @param {string} yMetric - 'emissions' or 'intensity'
+ * @param {Array} dataPoints - Single-year points
+ * @param {Array} revisions - Revision pairs
+ * @param {Array} trajectories - Trajectory paths
+ * @returns {Object} {dataPoints, revisions, trajectories, hidden} with hidden the number of points dropped
+ */
+function filterForAxisScales(axisScales, yMetric, dataPoints, revisions, trajectories) {
+  const plottable = point => {
+    const y = plotValue(point, yMetric);
+    return y !== null && (axisScales.x !== 'log' || point.xValue > 0) &&
+      (axisScales.y !== 'log' || y > 0);
+  };
+  let hidden = 0;
+
+  const keep = point => {
+    if (plottable(point)) return true;
+    hidden++;
+    return false;
+  };
+
+  const filteredPoints = dataPoints.filter(keep);
+  const filteredRevisions = revisions.filter(revision => {
+    // The comparison point is dropped with its arrow if either end is unplottable
+    const bothPlottable = [revision.older, revision.newer].every(plottable);
+    if (!bothPlottable) hidden++;
+    return bothPlottable;
+  });
+  const filteredTrajectories = trajectories
+    .map(trajectory => ({ ...trajectory, points: trajectory.points.filter(keep) }))
+    .filter(trajectory => trajectory.points.length > 0);
+
+  return { dataPoints: filteredPoints, revisions: filteredRevisions, trajectories: filteredTrajectories, hidden };
+}
+
+/**
+ * Apply a linear or log scale, and any fixed playback range, to an axis
+ * @param {Object} axis - hAxis or vAxis options (modified in place)
+ * @param {string} scale - 'linear' or 'log'
+ * @param {Object|null} range - Fixed {min, max, positiveMin} from year playback
+ */
+function applyAxisScale(axis, scale, range) {
+  if (scale === 'log') {
+    axis.scaleType = 'log';
+    axis.title = `${axis.title} (log scale)`;
+    delete axis.minValue; // Zero has no place on a log axis
+    if (range && range.positiveMin) {
+      axis.viewWindow = { min: range.positiveMin / LOG_AXIS_MIN_PADDING, max: range.max };
+    }
+  } else if (range) {
+    axis.viewWindow = { min: range.min, max: range.max };
+  }
+}
+
 /**
  * Draw scatter chart
  * @param {number} year - Selected year
  * @param {number} pollutantId - Selected pollutant ID
  * @param {Array} groupIds - Array of selected group IDs
+ * @param {Object} options - Optional modes
+ * @param {string} options.compareEdition - Dataset edition to draw revision arrows against
+ * @param {number} options.startYear - First year of a trajectory; year is then the last year
+ * @param {Object} options.axisScales - {x, y}, each 'linear' (default) or 'log'
+ * @param {string} options.yMetric - 'emissions' (default) or 'intensity' (pollutant per unit activity)
+ * @param {Object} options.axisRanges - Fixed {x: {min, max, positiveMin}, y: {...}} axis ranges (year playback)
+ * @param {number} options.transitionMs - Animate points from their previous positions over this time
+ * @param {boolean} options.backgroundYear - Show the year large behind the points
+ * @param {string} options.trendModel - Trend line through the single-year points: 'linear' or 'loglog'
+ * @param {Object} options.bubbleSize - Size single-year points by {metric: 'intensity'} or
+ *   {metric: 'pollutant', pollutantId}; draws a BubbleChart (revision comparison is not shown)
+ * @param {Object} options.zoomWindow - Show only {x: {min, max}, y: {min, max}} (data units)
+ * @param {boolean} options.pointLabels - Write each group's name next to its point
  */
-function drawScatterChart(year, pollutantId, groupIds) {
+function drawScatterChart(year, pollutantId, groupIds, options = {}) {
   // Wait for Google Charts to be ready
   if (!googleChartsReady) {
     console.log('Google Charts not ready yet, waiting...');
     google.charts.setOnLoadCallback(() => {
       googleChartsReady = true;
-      drawScatterChart(year, pollutantId, groupIds);
+      drawScatterChart(year, pollutantId, groupIds, options);
     });
     return;
   }
 
+  const compareEdition = options.compareEdition || null;
+  const yMetric = options.yMetric === 'intensity' ? 'intensity' : 'emissions';
+  const startYear = options.startYear && options.startYear < year ? options.startYear : null;
+  const xPollutantId = options.xPollutantId || window.supabaseModule.activityDataId;
+  const xIsActivity = xPollutantId === window.supabaseModule.activityDataId;
+
   // Get data points
-  const dataPoints = window.supabaseModule.getScatterData(year, pollutantId, groupIds);
+  const dataPoints = window.supabaseModule.getScatterData(year, pollutantId, groupIds,
+    window.supabaseModule.datasetEdition, xPollutantId);
   console.log('Chart renderer: got', dataPoints.length, 'data points');
   if(dataPoints.length > 0) {
     console.log('First data point:', dataPoints[0]);
   }
+
+  // Trajectory mode draws every year from startYear to year as a connected path per group
+  const trajectories = startYear
+    ? window.supabaseModule.getTrajectoryData(startYear, year, pollutantId, groupIds, xPollutantId)
+    : [];
   
-  if (dataPoints.length === 0) {
+  // Report groups left out and suspicious values, whether or not anything can be drawn
+  const xName = xIsActivity ? null : window.supabaseModule.getPollutantName(xPollutantId);
+  const dataQuality = window.supabaseModule.getDataQualityReport(year, pollutantId, groupIds, { startYear, xPollutantId });
+  window.DataQuality.renderDataQualityNotice(dataQuality, {
+    pollutantName: window.supabaseModule.getPollutantName(pollutantId),
+    xName: xName,
+    selectionKey: [window.supabaseModule.datasetEdition, xPollutantId, pollutantId, groupIds.join(',')].join('|')
+  });
+
+  if (startYear ? trajectories.length === 0 : dataPoints.length === 0) {
     console.error('No data points returned!');
-    showMessage('No data available for the selected year, pollutant, and groups.', 'error');
+    showMessage(dataQuality.excluded.length > 0
+      ? 'No data available for the selected year, pollutant, and groups (see the data quality notes).'
+      : 'No data available for the selected year, pollutant, and groups.', 'error');
+    return;
+  }
+
+  // Bubble mode sizes single-year points by a third variable
+  const bubbleSize = options.bubbleSize && !startYear ? options.bubbleSize : null;
+
+  // Revision comparison pairs each group's point with the same point in another edition
+  const revisions = compareEdition && !startYear && !bubbleSize
+    ? window.supabaseModule.getRevisionData(year, pollutantId, groupIds, compareEdition, xPollutantId)
+    : [];
+  const overlays = [];
+
+  const units = {
+    pollutant: window.supabaseModule.getPollutantUnit(pollutantId), // Dynamically fetch pollutant unit
+    activity: window.supabaseModule.getPollutantUnit(window.supabaseModule.activityDataId) || 'TJ',
+    intensity: window.supabaseModule.getEmissionIntensityUnit(pollutantId),
+    xName: xName // null when the x-axis is Activity Data
+  };
+  units.x = xIsActivity ? units.activity : window.supabaseModule.getPollutantUnit(xPollutantId);
+
+  // Log axes cannot show zero or negative values, and intensity needs non-zero activity
+  const axisScales = { x: 'linear', y: 'linear', ...(options.axisScales || {}) };
+  const plotted = filterForAxisScales(axisScales, yMetric, dataPoints, revisions, trajectories);
+  const hiddenReasons = [
+    axisScales.x === 'log' || axisScales.y === 'log' ? 'zero or negative values cannot be shown on a log axis' : null,
+    yMetric === 'intensity' ? 'emission intensity needs non-zero Activity Data' : null
+  ];
+
+  // Bubbles need a size value of zero or more
+  const sizes = bubbleSize ? getBubbleSizes(year, groupIds, bubbleSize, dataPoints, xPollutantId) : null;
+  if (bubbleSize) {
+    const sized = plotted.dataPoints.filter(point => sizes.get(point.groupId) >= 0);
+    plotted.hidden += plotted.dataPoints.length - sized.length;
+    if (sized.length < plotted.dataPoints.length) {
+      hiddenReasons.push('some groups have no value for the bubble size');
+    }
+    plotted.dataPoints = sized;
+  }
+  const hiddenReason = hiddenReasons.filter(Boolean).join('; ');
+
+  if (startYear ? plotted.trajectories.length === 0 : plotted.dataPoints.length === 0) {
+    showMessage(`None of the selected points can be plotted (${hiddenReason}).`, 'error');
     return;
   }
 
   // Prepare Google DataTable
+  const yColumnLabel = yMetric === 'intensity'
+    ? `${window.supabaseModule.getPollutantName(pollutantId)} intensity`
+    : window.supabaseModule.getPollutantName(pollutantId);
+  const sizeLabel = bubbleSize ? describeBubbleSize(bubbleSize, units, window.supabaseModule.getPollutantName(pollutantId)) : null;
+  const xColumnLabel = xName || 'Activity Data';
   const data = new google.visualization.DataTable();
-  data.addColumn('number', 'Activity Data');
-  data.addColumn('number', window.supabaseModule.getPollutantName(pollutantId));
-  data.addColumn({type: 'string', role: 'tooltip'});
-  data.addColumn({type: 'string', role: 'style'});
+  if (bubbleSize) {
+    // BubbleChart columns: id, x, y, colour, size
+    data.addColumn('string', 'Group');
+    data.addColumn('number', xColumnLabel);
+    data.addColumn('number', yColumnLabel);
+    data.addColumn('string', 'Group');
+    data.addColumn('number', sizeLabel.label);
+  } else {
+    data.addColumn('number', xColumnLabel);
+    data.addColumn('number', yColumnLabel);
+    data.addColumn({type: 'string', role: 'tooltip'});
+    data.addColumn({type: 'string', role: 'style'});
+  }
+
+  // Year playback fixes the size scale so bubbles only grow or shrink with the data
+  const sizeRange = (options.axisRanges || {}).size;
+  const maxSize = bubbleSize
+    ? (sizeRange ? sizeRange.max : Math.max(...plotted.dataPoints.map(point => sizes.get(point.groupId))))
+    : null;
 
   // Add data rows with colors
-  console.log('Adding', dataPoints.length, 'rows to chart data');
-  dataPoints.forEach(point => {
-    const color = window.Colors.getColorForGroup(point.groupName);
-    const pollutantUnit = window.supabaseModule.getPollutantUnit(pollutantId); // Dynamically fetch pollutant unit
-    // Create tooltip with fixed unit for Activity Data and dynamic unit for pollutant
-    const tooltip = `${point.groupName}\nActivity: ${point.activityData.toLocaleString()} TJ\nPollutant Value: ${point.pollutantValue.toLocaleString()} ${pollutantUnit}`;
-    
-    data.addRow([
-      point.activityData,
-      point.pollutantValue,
-      tooltip,
-      `point {fill-color: ${color}; size: 8;}`
-    ]);
-  });
+  if (startYear) {
+    addTrajectoryRows(data, overlays, plotted.trajectories, units, yMetric);
+  } else if (bubbleSize) {
+    addBubbleRows(data, overlays, plotted.dataPoints, sizes, maxSize, sizeLabel, units, yMetric);
+  } else {
+    console.log('Adding', plotted.dataPoints.length, 'rows to chart data');
+    addSingleYearRows(data, overlays, plotted.dataPoints, plotted.revisions, compareEdition, units, yMetric);
+  }
+
+  // Trend lines summarise a single year's points
+  const trend = options.trendModel && !startYear
+    ? addTrendOverlay(overlays, plotted.dataPoints, options.trendModel, yMetric, axisScales, units)
+    : null;
+
+  // Group names beside the points (trajectories are labelled at their end year)
+  if (options.pointLabels) {
+    const labelPoints = startYear
+      ? plotted.trajectories.map(trajectory => ({
+        groupName: trajectory.groupName,
+        point: trajectory.points[trajectory.points.length - 1],
+        size: 9
+      }))
+      : plotted.dataPoints.map(point => ({
+        groupName: point.groupName,
+        point,
+        size: bubbleSize ? bubbleRadius(sizes.get(point.groupId), maxSize) * 2 : 8
+      }));
+    overlays.push({
+      type: 'labels',
+      items: labelPoints.map(({ groupName, point, size }) => ({
+        at: { x: point.xValue, y: plotValue(point, yMetric) },
+        text: groupName,
+        color: window.Colors.getColorForGroup(groupName),
+        radius: size / 2 + 1
+      }))
+    });
+  }
+
+  if (options.backgroundYear) {
+    overlays.unshift({ type: 'backdrop', text: String(year), color: '#000000', opacity: 0.08 });
+  }
   
   console.log('Chart data rows added, now drawing chart...');
 
@@ -80,9 +602,11 @@ function drawScatterChart(year, pollutantId, groupIds) {
   console.log('Chart renderer - Activity Unit:', activityUnit);
   
   // Format title and axis labels with hyphens and spaces
-  const chartTitle = `${pollutantName} - ${pollutantUnit}`;
+  const chartTitle = yMetric === 'intensity'
+    ? `${pollutantName} emission intensity - ${units.intensity}`
+    : `${pollutantName} - ${pollutantUnit}`;
   const yAxisTitle = chartTitle;
-  const xAxisTitle = activityUnit ? `Activity Data - ${activityUnit}` : 'Activity Data';
+  const xAxisTitle = units.x ? `${xColumnLabel} - ${units.x}` : xColumnLabel;
 
   // Create a custom title element with two lines
   const chartTitleElement = document.getElementById('chartTitle');
@@ -95,7 +619,7 @@ function drawScatterChart(year, pollutantId, groupIds) {
     const yearElement = document.createElement('div');
     yearElement.style.fontSize = '28px';
     yearElement.style.fontWeight = 'bold';
-    yearElement.textContent = `${year}`;
+    yearElement.textContent = startYear ? `${startYear}–${year}` : `${year}`;
 
     // Add pollutant and emission unit as the second line
     const pollutantElement = document.createElement('div');
@@ -106,6 +630,18 @@ function drawScatterChart(year, pollutantId, groupIds) {
     chartTitleElement.innerHTML = '';
     chartTitleElement.appendChild(yearElement);
     chartTitleElement.appendChild(pollutantElement);
+
+    // Add dataset edition as a small third line
+    const datasetEdition = window.supabaseModule.datasetEdition;
+    if (datasetEdition) {
+      const editionElement = document.createElement('div');
+      editionElement.className = 'chart-title-edition';
+      editionElement.style.fontSize = '14px';
+      editionElement.textContent = compareEdition && !startYear
+        ? `NAEI ${datasetEdition} compared with ${compareEdition} (hollow points)`
+        : `NAEI ${datasetEdition} dataset`;
+      chartTitleElement.appendChild(editionElement);
+    }
   }
 
   // Calculate dynamic height based on window size
@@ -149,6 +685,41 @@ function drawScatterChart(year, pollutantId, groupIds) {
     }
   };
 
+  // Log scales, and fixed ranges so year playback moves only the points
+  const axisRanges = options.axisRanges || {};
+  applyAxisScale(currentOptions.hAxis, axisScales.x, axisRanges.x || null);
+  applyAxisScale(currentOptions.vAxis, axisScales.y, axisRanges.y || null);
+
+  // A zoom window overrides the automatic or playback range; shapes tied to
+  // data are clipped so they do not spill outside the zoomed area
+  const zoomWindow = options.zoomWindow &&
+    (axisScales.x !== 'log' || options.zoomWindow.x.min > 0) &&
+    (axisScales.y !== 'log' || options.zoomWindow.y.min > 0)
+    ? options.zoomWindow
+    : null;
+  if (zoomWindow) {
+    currentOptions.hAxis.viewWindow = { ...zoomWindow.x };
+    currentOptions.vAxis.viewWindow = { ...zoomWindow.y };
+    overlays.forEach(shape => {
+      if (['arrow', 'path', 'text'].includes(shape.type)) shape.clip = true;
+    });
+  }
+  if (options.transitionMs) {
+    currentOptions.animation = { duration: options.transitionMs, easing: 'inAndOut' };
+  }
+  if (bubbleSize) {
+    // Colours follow the rows' group order; √size maps linearly onto the radius
+    currentOptions.colors = plotted.dataPoints.map(point => window.Colors.getColorForGroup(point.groupName));
+    currentOptions.bubble = { opacity: 0.65, stroke: '#ffffff', textStyle: { color: 'none', auraColor: 'none' } };
+    currentOptions.sizeAxis = {
+      minValue: 0,
+      maxValue: Math.sqrt(maxSize) || 1,
+      minSize: BUBBLE_MIN_RADIUS,
+      maxSize: BUBBLE_MAX_RADIUS
+    };
+  }
+  const chartType = bubbleSize ? 'BubbleChart' : 'ScatterChart';
+
   // Store current chart data for export
   currentChartData = {
     data: data,
@@ -156,23 +727,55 @@ function drawScatterChart(year, pollutantId, groupIds) {
     year: year,
     pollutantId: pollutantId,
     pollutantName: pollutantName,
+    xPollutantId: xPollutantId,
+    xName: xName,
+    xUnit: units.x,
     groupIds: groupIds,
-    dataPoints: dataPoints
+    dataPoints: dataPoints,
+    datasetEdition: window.supabaseModule.datasetEdition,
+    compareEdition: startYear ? null : compareEdition,
+    revisions: revisions,
+    startYear: startYear,
+    trajectories: trajectories,
+    axisScales: axisScales,
+    yMetric: yMetric,
+    intensityUnit: units.intensity,
+    trendModel: trend ? trend.model : null,
+    trend: trend,
+    dataQuality: dataQuality,
+    bubbleSize: bubbleSize,
+    sizeLabel: sizeLabel,
+    chartType: chartType,
+    zoomWindow: zoomWindow,
+    overlays: overlays
   };
 
+  // Switching between scatter and bubble needs a new chart instance
+  if (chart && currentChartType !== chartType) {
+    chart.clearChart();
+    chart = null;
+  }
+
   // Draw chart
   if (!chart) {
-    chart = new google.visualization.ScatterChart(chartDiv);
+    chart = new google.visualization[chartType](chartDiv);
+    currentChartType = chartType;
 
     // Add listener for chart render completion (for loading management)
     google.visualization.events.addListener(chart, 'ready', () => {
       console.log('Google Charts ready event fired!');
+      renderOverlay(chart, chartDiv, currentChartData ? currentChartData.overlays : []);
       if (window.chartRenderCallback) {
         window.chartRenderCallback();
         window.chartRenderCallback = null; // Clear callback after use
       }
     });
     
+    // Animated redraws move the points after 'ready', so place overlays again at the end
+    google.visualization.events.addListener(chart, 'animationfinish', () => {
+      renderOverlay(chart, chartDiv, currentChartData ? currentChartData.overlays : []);
+    });
+    
     // Add error listener
     google.visualization.events.addListener(chart, 'error', (err) => {
       console.error('Google Charts error:', err);
@@ -184,7 +787,7 @@ function drawScatterChart(year, pollutantId, groupIds) {
     console.log('chart.draw() completed without error');
 
     // Create custom legend after chart is drawn
-    createCustomLegend(chart, data, groupIds);
+    createCustomLegend(chart, data, startYear ? plotted.trajectories : plotted.dataPoints);
   } catch (err) {
     console.error('Error calling chart.draw():', err);
   }
@@ -200,17 +803,24 @@ function drawScatterChart(year, pollutantId, groupIds) {
   const downloadBtnEl = document.getElementById('downloadBtn');
   if (shareBtnEl) shareBtnEl.disabled = false;
   if (downloadBtnEl) downloadBtnEl.disabled = false;
+  document.querySelectorAll('#exportMenu button').forEach(btn => {
+    btn.disabled = false;
+  });
 
-  clearMessage();
+  if (plotted.hidden > 0) {
+    showMessage(`${plotted.hidden} point${plotted.hidden === 1 ? ' is' : 's are'} hidden (${hiddenReason}).`, 'warning');
+  } else {
+    clearMessage();
+  }
 }
 
 /**
  * Create a custom legend for the scatter chart
  * @param {Object} chart - Google Chart instance
  * @param {Object} data - Google DataTable instance
- * @param {Array} groupIds - Array of selected group IDs
+ * @param {Array} dataPoints - Plotted groups in row order (points or trajectories, each with groupName)
  */
-function createCustomLegend(chart, data, groupIds) {
+function createCustomLegend(chart, data, dataPoints) {
   const legendContainer = document.getElementById('customLegend');
   if (!legendContainer) {
     console.error('Missing #customLegend element');
@@ -223,8 +833,8 @@ function createCustomLegend(chart, data, groupIds) {
   legendContainer.style.flexWrap = 'wrap';
   legendContainer.style.gap = '10px';
 
-  groupIds.forEach((groupId, index) => {
-    const groupName = data.getValue(index, 2).split('\n')[0]; // Extract only the group name
+  dataPoints.forEach((point, index) => {
+    const groupName = point.groupName;
 
     const legendItem = document.createElement('div');
     legendItem.className = 'legend-item';
@@ -256,6 +866,698 @@ function createCustomLegend(chart, data, groupIds) {
 
     legendContainer.appendChild(legendItem);
   });
+
+  // Explain the hollow points drawn in revision comparison mode
+  if (currentChartData && currentChartData.compareEdition) {
+    const keyItem = document.createElement('div');
+    keyItem.className = 'legend-item legend-item-revision';
+
+    const hollowCircle = document.createElement('span');
+    hollowCircle.style.width = '12px';
+    hollowCircle.style.height = '12px';
+    hollowCircle.style.borderRadius = '50%';
+    hollowCircle.style.border = '2px solid #555';
+    hollowCircle.style.boxSizing = 'border-box';
+    hollowCircle.style.marginRight = '8px';
+
+    const label = document.createElement('span');
+    label.textContent = `NAEI ${currentChartData.compareEdition} (arrows point to newer edition)`;
+
+    keyItem.appendChild(hollowCircle);
+    keyItem.appendChild(label);
+    legendContainer.appendChild(keyItem);
+  }
+}
+
+/**
+ * Chart overlays
+ * Google ScatterChart cannot draw arrows or free annotations, so extra shapes are
+ * kept in data coordinates (currentChartData.overlays) and projected with the
+ * chart layout interface - into an SVG layer on screen, onto a canvas for export.
+ * Supported shapes:
+ *   {type: 'arrow', from: {x, y}, to: {x, y}, color, width, clip}
+ *     (clip keeps an arrow, path or text inside the chart area)
+ *   {type: 'path', points: [{x, y}, ...], color, width, opacity, dash: [on, off], clip}
+ *   {type: 'text', at: {x, y}, text, color, offset: {x, y}, fontSize, fontWeight, clip}
+ *   {type: 'backdrop', text, color, opacity} - large text centred in the chart area
+ *   {type: 'box', lines: [text, ...]} - stats box in the top-left corner of the chart area
+ *   {type: 'sizeKey', title, entries: [{radius, label}]} - bubble size key in the top-right corner
+ *   {type: 'labels', items: [{at: {x, y}, text, color, radius}]} - group names placed next to
+ *     their points without overlapping, with leader lines when pushed away (radius is the
+ *     point's radius in px)
+ */
+const OVERLAY_BOX_PADDING = 8;
+const OVERLAY_BOX_LINE_HEIGHT = 16;
+const OVERLAY_BOX_FONT_SIZE = 12;
+const OVERLAY_POINT_CLEARANCE = 9; // Keep arrow ends clear of the plotted points (px)
+const OVERLAY_ARROW_HEAD = 9;
+const OVERLAY_FONT_FAMILY = 'Arial, sans-serif'; // Google Charts' default font
+const OVERLAY_KEY_GAP = 12; // Space between size key circles
+const LABEL_FONT_SIZE = 12;
+const LABEL_GAP = 4; // Space between a point's edge and its label
+const LABEL_LEADER_STEPS = [0, 16, 32, 56]; // Extra distance tried before giving up; > 0 draws a leader line
+const LABEL_DIRECTIONS = [
+  [1, 0], [-1, 0], [0, -1], [0, 1], [0.7, -0.7], [-0.7, -0.7], [0.7, 0.7], [-0.7, 0.7]
+]; // Right, left, above, below, then the diagonals
+
+let overlayMeasureContext = null;
+
+/**
+ * Measure text the same way for the SVG overlay and canvas export
+ * @param {string} text - Text
+ * @param {string} font - CSS font shorthand
+ * @returns {number} Width in pixels
+ */
+function measureOverlayText(text, font) {
+  if (!overlayMeasureContext) {
+    overlayMeasureContext = document.createElement('canvas').getContext('2d');
+  }
+  overlayMeasureContext.font = font;
+  return overlayMeasureContext.measureText(text).width;
+}
+
+/**
+ * Convert a shape's data coordinates into pixel coordinates
+ * @param {Object} layout - Google chart layout interface
+ * @param {Object} point - {x, y} in data units
+ * @returns {Object} {x, y} in pixels
+ */
+function projectOverlayPoint(layout, point) {
+  return { x: layout.getXLocation(point.x), y: layout.getYLocation(point.y) };
+}
+
+/**
+ * Compute the pixel geometry of an arrow, or null if its ends would overlap
+ * @param {Object} layout - Google chart layout interface
+ * @param {Object} shape - Arrow shape
+ * @returns {Object|null} {start, end, head: [p1, p2, p3]}
+ */
+function arrowGeometry(layout, shape) {
+  const from = projectOverlayPoint(layout, shape.from);
+  const to = projectOverlayPoint(layout, shape.to);
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy);
+  if (!isFinite(length) || length < OVERLAY_POINT_CLEARANCE * 2 + OVERLAY_ARROW_HEAD) return null;
+
+  const ux = dx / length;
+  const uy = dy / length;
+  const start = { x: from.x + ux * OVERLAY_POINT_CLEARANCE, y: from.y + uy * OVERLAY_POINT_CLEARANCE };
+  const end = { x: to.x - ux * OVERLAY_POINT_CLEARANCE, y: to.y - uy * OVERLAY_POINT_CLEARANCE };
+  const angle = Math.atan2(dy, dx);
+  const spread = Math.PI / 7;
+  const head = [
+    end,
+    { x: end.x - OVERLAY_ARROW_HEAD * Math.cos(angle - spread), y: end.y - OVERLAY_ARROW_HEAD * Math.sin(angle - spread) },
+    { x: end.x - OVERLAY_ARROW_HEAD * Math.cos(angle + spread), y: end.y - OVERLAY_ARROW_HEAD * Math.sin(angle + spread) }
+  ];
+  return { start, end, head };
+}
+
+/**
+ * Size and centre of backdrop text for the chart area
+ * @param {Object} layout - Google chart layout interface
+ * @returns {Object} {x, y, fontSize} in pixels
+ */
+function backdropGeometry(layout) {
+  const area = layout.getChartAreaBoundingBox();
+  return {
+    x: area.left + area.width / 2,
+    y: area.top + area.height / 2,
+    fontSize: Math.round(Math.min(area.height * 0.5, area.width * 0.3))
+  };
+}
+
+/**
+ * Top-left corner of a stats box
+ * @param {Object} layout - Google chart layout interface
+ * @returns {Object} {x, y} in pixels
+ */
+function boxOrigin(layout) {
+  const area = layout.getChartAreaBoundingBox();
+  return { x: area.left + OVERLAY_BOX_PADDING, y: area.top + OVERLAY_BOX_PADDING };
+}
+
+/**
+ * Layout of a bubble size key: circles bottom-aligned in a row under the title, labels beneath
+ * @param {Object} layout - Google chart layout interface
+ * @param {Object} shape - sizeKey shape
+ * @returns {Object} {left, top, width, height, titleFont, labelFont, titleX, titleY, circles: [{cx, cy, r, label, labelY}]}
+ */
+function sizeKeyGeometry(layout, shape) {
+  const area = layout.getChartAreaBoundingBox();
+  const titleFont = `bold ${OVERLAY_BOX_FONT_SIZE}px ${OVERLAY_FONT_FAMILY}`;
+  const labelFont = `${OVERLAY_BOX_FONT_SIZE}px ${OVERLAY_FONT_FAMILY}`;
+
+  const columns = shape.entries.map(entry => Math.max(entry.radius * 2, measureOverlayText(entry.label, labelFont)));
+  const rowWidth = columns.reduce((sum, width) => sum + width, 0) + OVERLAY_KEY_GAP * (columns.length - 1);
+  const innerWidth = Math.max(rowWidth, measureOverlayText(shape.title, titleFont));
+  const maxDiameter = Math.max(...shape.entries.map(entry => entry.radius * 2));
+
+  const width = innerWidth + OVERLAY_BOX_PADDING * 2;
+  const height = OVERLAY_BOX_PADDING * 2 + OVERLAY_BOX_LINE_HEIGHT * 2 + maxDiameter + 4;
+  const left = area.left + area.width - OVERLAY_BOX_PADDING - width;
+  const top = area.top + OVERLAY_BOX_PADDING;
+  const circleBottom = top + OVERLAY_BOX_PADDING + OVERLAY_BOX_LINE_HEIGHT + maxDiameter;
+
+  let x = left + OVERLAY_BOX_PADDING + (innerWidth - rowWidth) / 2;
+  const circles = shape.entries.map((entry, index) => {
+    const circle = {
+      cx: x + columns[index] / 2,
+      cy: circleBottom - entry.radius,
+      r: entry.radius,
+      label: entry.label,
+      labelY: circleBottom + 4 + OVERLAY_BOX_FONT_SIZE
+    };
+    x += columns[index] + OVERLAY_KEY_GAP;
+    return circle;
+  });
+
+  return {
+    left, top, width, height, titleFont, labelFont,
+    titleX: left + OVERLAY_BOX_PADDING,
+    titleY: top + OVERLAY_BOX_PADDING + OVERLAY_BOX_FONT_SIZE,
+    circles
+  };
+}
+
+/**
+ * Screen rectangles already taken by other overlay shapes (stats box, size key, text)
+ * @param {Object} layout - Chart layout interface
+ * @param {Array} shapes - Overlay shapes
+ * @returns {Array<Object>} Rectangles {left, top, right, bottom}
+ */
+function overlayObstacles(layout, shapes) {
+  const rects = [];
+  shapes.forEach(shape => {
+    if (shape.type === 'box') {
+      const origin = boxOrigin(layout);
+      const width = Math.max(...shape.lines.map((line, index) =>
+        measureOverlayText(line, `${index === 0 ? 'bold ' : ''}${OVERLAY_BOX_FONT_SIZE}px ${OVERLAY_FONT_FAMILY}`)));
+      rects.push({
+        left: origin.x,
+        top: origin.y,
+        right: origin.x + width + OVERLAY_BOX_PADDING * 2,
+        bottom: origin.y + shape.lines.length * OVERLAY_BOX_LINE_HEIGHT + OVERLAY_BOX_PADDING * 2
+      });
+    } else if (shape.type === 'sizeKey') {
+      const geometry = sizeKeyGeometry(layout, shape);
+      rects.push({ left: geometry.left, top: geometry.top, right: geometry.left + geometry.width, bottom: geometry.top + geometry.height });
+    } else if (shape.type === 'text') {
+      const anchor = projectOverlayPoint(layout, shape.at);
+      const offset = shape.offset || { x: 0, y: 0 };
+      const fontSize = shape.fontSize || 12;
+      const x = anchor.x + offset.x;
+      const y = anchor.y + offset.y;
+      const width = measureOverlayText(shape.text, `${shape.fontWeight || 'normal'} ${fontSize}px ${OVERLAY_FONT_FAMILY}`);
+      rects.push({ left: x, top: y - fontSize, right: x + width, bottom: y + 2 });
+    }
+  });
+  return rects;
+}
+
+/**
+ * Place point labels so they overlap neither each other, the points nor other
+ * overlays. Each label tries eight positions around its point, then the same
+ * positions further out (with a leader line back to the point); if nothing is
+ * free it takes the position with the least overlap.
+ * @param {Array<Object>} items - [{px, py, radius, text, color, width}] in screen pixels
+ * @param {Object} area - Chart area {left, top, width, height}
+ * @param {Array<Object>} obstacles - Rectangles to keep clear
+ * @param {number} height - Label height in px
+ * @returns {Array<Object>} [{text, color, x, y, leader: {x1, y1, x2, y2}|null}], x/y the
+ *   label's left edge and vertical centre
+ */
+function placePointLabels(items, area, obstacles, height) {
+  const overlap = (a, b) =>
+    Math.max(0, Math.min(a.right, b.right) - Math.max(a.left, b.left)) *
+    Math.max(0, Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top));
+  const inside = rect => rect.left >= area.left && rect.right <= area.left + area.width &&
+    rect.top >= area.top && rect.bottom <= area.top + area.height;
+
+  // Every point is an obstacle for every label
+  const taken = [
+    ...obstacles,
+    ...items.map(item => ({
+      left: item.px - item.radius, right: item.px + item.radius,
+      top: item.py - item.radius, bottom: item.py + item.radius
+    }))
+  ];
+
+  // Crowded points first, while there is still room near them
+  const crowding = item => items.filter(other =>
+    Math.abs(other.px - item.px) < item.width + 40 && Math.abs(other.py - item.py) < 40).length;
+  const order = items.map((item, index) => ({ item, index, crowding: crowding(item) }))
+    .sort((a, b) => b.crowding - a.crowding || a.item.py - b.item.py);
+
+  const placed = new Array(items.length);
+  order.forEach(({ item, index }) => {
+    let best = null;
+    for (const step of LABEL_LEADER_STEPS) {
+      const distance = item.radius + LABEL_GAP + step;
+      for (const [dx, dy] of LABEL_DIRECTIONS) {
+        // Anchor the label's near side or corner at the candidate spot
+        const cx = item.px + dx * distance;
+        const cy = item.py + dy * distance;
+        const left = dx > 0 ? cx : (dx < 0 ? cx - item.width : cx - item.width / 2);
+        const centre = dy > 0 ? cy + height / 2 : (dy < 0 ? cy - height / 2 : cy);
+        const rect = { left, right: left + item.width, top: centre - height / 2, bottom: centre + height / 2 };
+        if (!inside(rect)) continue;
+
+        const cost = taken.reduce((sum, other) => sum + overlap(rect, other), 0);
+        if (!best || cost < best.cost) {
+          best = { rect, centre, step, cost };
+        }
+        if (cost === 0) break;
+      }
+      if (best && best.cost === 0) break;
+    }
+    if (!best) return; // No room inside the chart area at all
+
+    taken.push(best.rect);
+    let leader = null;
+    if (best.step > 0) {
+      // From the point's edge to the nearest point on the label
+      const tx = Math.min(Math.max(item.px, best.rect.left), best.rect.right);
+      const ty = Math.min(Math.max(item.py, best.rect.top), best.rect.bottom);
+      const length = Math.hypot(tx - item.px, ty - item.py) || 1;
+      leader = {
+        x1: item.px + (tx - item.px) / length * item.radius,
+        y1: item.py + (ty - item.py) / length * item.radius,
+        x2: tx,
+        y2: ty
+      };
+    }
+    placed[index] = { text: item.text, color: item.color, x: best.rect.left, y: best.centre, leader };
+  });
+
+  return placed.filter(Boolean);
+}
+
+/**
+ * Lay out a labels shape on the chart
+ * @param {Object} layout - Chart layout interface
+ * @param {Object} shape - {type: 'labels', items}
+ * @param {Array} shapes - All overlay shapes, so labels keep clear of the others
+ * @returns {Object} {font, labels} with labels from placePointLabels
+ */
+function pointLabelGeometry(layout, shape, shapes) {
+  const area = layout.getChartAreaBoundingBox();
+  const font = `bold ${LABEL_FONT_SIZE}px ${OVERLAY_FONT_FAMILY}`;
+  const items = shape.items
+    .map(item => {
+      const point = projectOverlayPoint(layout, item.at);
+      return {
+        px: point.x,
+        py: point.y,
+        radius: item.radius || 4,
+        text: item.text,
+        color: item.color,
+        width: measureOverlayText(item.text, font)
+      };
+    })
+    // Points outside a zoom window have no label
+    .filter(item => item.px >= area.left && item.px <= area.left + area.width &&
+      item.py >= area.top && item.py <= area.top + area.height);
+
+  const obstacles = overlayObstacles(layout, shapes.filter(other => other !== shape));
+  return { font, labels: placePointLabels(items, area, obstacles, LABEL_FONT_SIZE + 4) };
+}
+
+/**
+ * Draw overlay shapes into an SVG layer on top of the on-screen chart
+ * @param {Object} chartInstance - Google Chart instance (after 'ready')
+ * @param {HTMLElement} container - Chart container element
+ * @param {Array} shapes - Overlay shapes
+ */
+function renderOverlay(chartInstance, container, shapes) {
+  const svgNS = 'http://www.w3.org/2000/svg';
+  let layer = container.querySelector('svg.chart-overlay');
+
+  if (!shapes || shapes.length === 0) {
+    if (layer) layer.remove();
+    return;
+  }
+
+  if (!layer) {
+    layer = document.createElementNS(svgNS, 'svg');
+    layer.setAttribute('class', 'chart-overlay');
+    container.appendChild(layer);
+  }
+  layer.innerHTML = '';
+
+  const layout = chartInstance.getChartLayoutInterface();
+
+  // Clip region for shapes that must stay inside the chart area
+  const area = layout.getChartAreaBoundingBox();
+  const clipId = `${container.id || 'chart'}-overlay-clip`;
+  const defs = document.createElementNS(svgNS, 'defs');
+  const clipPath = document.createElementNS(svgNS, 'clipPath');
+  clipPath.setAttribute('id', clipId);
+  const clipRect = document.createElementNS(svgNS, 'rect');
+  clipRect.setAttribute('x', area.left);
+  clipRect.setAttribute('y', area.top);
+  clipRect.setAttribute('width', area.width);
+  clipRect.setAttribute('height', area.height);
+  clipPath.appendChild(clipRect);
+  defs.appendChild(clipPath);
+  layer.appendChild(defs);
+
+  shapes.forEach(shape => {
+    if (shape.type === 'box') {
+      const origin = boxOrigin(layout);
+      const group = document.createElementNS(svgNS, 'g');
+      const rect = document.createElementNS(svgNS, 'rect');
+      group.appendChild(rect);
+      layer.appendChild(group);
+
+      let width = 0;
+      shape.lines.forEach((line, index) => {
+        const text = document.createElementNS(svgNS, 'text');
+        text.setAttribute('x', origin.x + OVERLAY_BOX_PADDING);
+        text.setAttribute('y', origin.y + OVERLAY_BOX_PADDING + OVERLAY_BOX_FONT_SIZE + index * OVERLAY_BOX_LINE_HEIGHT);
+        text.setAttribute('fill', '#333');
+        text.setAttribute('font-family', OVERLAY_FONT_FAMILY);
+        text.setAttribute('font-size', OVERLAY_BOX_FONT_SIZE);
+        text.setAttribute('font-weight', index === 0 ? 'bold' : 'normal');
+        text.textContent = line;
+        group.appendChild(text);
+        width = Math.max(width, text.getComputedTextLength());
+      });
+
+      rect.setAttribute('x', origin.x);
+      rect.setAttribute('y', origin.y);
+      rect.setAttribute('width', width + OVERLAY_BOX_PADDING * 2);
+      rect.setAttribute('height', shape.lines.length * OVERLAY_BOX_LINE_HEIGHT + OVERLAY_BOX_PADDING * 2);
+      rect.setAttribute('fill', '#ffffff');
+      rect.setAttribute('fill-opacity', 0.9);
+      rect.setAttribute('stroke', '#999');
+      rect.setAttribute('rx', 4);
+    } else if (shape.type === 'sizeKey') {
+      const geometry = sizeKeyGeometry(layout, shape);
+      const rect = document.createElementNS(svgNS, 'rect');
+      rect.setAttribute('x', geometry.left);
+      rect.setAttribute('y', geometry.top);
+      rect.setAttribute('width', geometry.width);
+      rect.setAttribute('height', geometry.height);
+      rect.setAttribute('fill', '#ffffff');
+      rect.setAttribute('fill-opacity', 0.9);
+      rect.setAttribute('stroke', '#999');
+      rect.setAttribute('rx', 4);
+      layer.appendChild(rect);
+
+      const title = document.createElementNS(svgNS, 'text');
+      title.setAttribute('x', geometry.titleX);
+      title.setAttribute('y', geometry.titleY);
+      title.setAttribute('fill', '#333');
+      title.setAttribute('font-family', OVERLAY_FONT_FAMILY);
+      title.setAttribute('font-size', OVERLAY_BOX_FONT_SIZE);
+      title.setAttribute('font-weight', 'bold');
+      title.textContent = shape.title;
+      layer.appendChild(title);
+
+      geometry.circles.forEach(circle => {
+        const dot = document.createElementNS(svgNS, 'circle');
+        dot.setAttribute('cx', circle.cx);
+        dot.setAttribute('cy', circle.cy);
+        dot.setAttribute('r', circle.r);
+        dot.setAttribute('fill', '#999');
+        dot.setAttribute('fill-opacity', 0.35);
+        dot.setAttribute('stroke', '#666');
+        layer.appendChild(dot);
+
+        const label = document.createElementNS(svgNS, 'text');
+        label.setAttribute('x', circle.cx);
+        label.setAttribute('y', circle.labelY);
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('fill', '#333');
+        label.setAttribute('font-family', OVERLAY_FONT_FAMILY);
+        label.setAttribute('font-size', OVERLAY_BOX_FONT_SIZE);
+        label.textContent = circle.label;
+        layer.appendChild(label);
+      });
+    } else if (shape.type === 'backdrop') {
+      const geometry = backdropGeometry(layout);
+      const text = document.createElementNS(svgNS, 'text');
+      text.setAttribute('x', geometry.x);
+      text.setAttribute('y', geometry.y);
+      text.setAttribute('text-anchor', 'middle');
+      text.setAttribute('dominant-baseline', 'central');
+      text.setAttribute('fill', shape.color || '#000');
+      text.setAttribute('fill-opacity', shape.opacity ?? 0.1);
+      text.setAttribute('font-family', OVERLAY_FONT_FAMILY);
+      text.setAttribute('font-size', geometry.fontSize);
+      text.setAttribute('font-weight', 'bold');
+      text.textContent = shape.text;
+      layer.appendChild(text);
+    } else if (shape.type === 'path') {
+      const path = document.createElementNS(svgNS, 'polyline');
+      path.setAttribute('points', shape.points.map(p => {
+        const projected = projectOverlayPoint(layout, p);
+        return `${projected.x},${projected.y}`;
+      }).join(' '));
+      path.setAttribute('fill', 'none');
+      path.setAttribute('stroke', shape.color);
+      path.setAttribute('stroke-width', shape.width || 2);
+      path.setAttribute('stroke-opacity', shape.opacity ?? 1);
+      path.setAttribute('stroke-linejoin', 'round');
+      if (shape.dash) path.setAttribute('stroke-dasharray', shape.dash.join(' '));
+      if (shape.clip) path.setAttribute('clip-path', `url(#${clipId})`);
+      layer.appendChild(path);
+    } else if (shape.type === 'text') {
+      const anchor = projectOverlayPoint(layout, shape.at);
+      const offset = shape.offset || { x: 0, y: 0 };
+      const text = document.createElementNS(svgNS, 'text');
+      text.setAttribute('x', anchor.x + offset.x);
+      text.setAttribute('y', anchor.y + offset.y);
+      text.setAttribute('fill', shape.color || '#333');
+      text.setAttribute('font-family', OVERLAY_FONT_FAMILY);
+      text.setAttribute('font-size', shape.fontSize || 12);
+      text.setAttribute('font-weight', shape.fontWeight || 'normal');
+      if (shape.clip) text.setAttribute('clip-path', `url(#${clipId})`);
+      text.textContent = shape.text;
+      layer.appendChild(text);
+    } else if (shape.type === 'arrow') {
+      const geometry = arrowGeometry(layout, shape);
+      if (!geometry) return;
+
+      const line = document.createElementNS(svgNS, 'line');
+      line.setAttribute('x1', geometry.start.x);
+      line.setAttribute('y1', geometry.start.y);
+      line.setAttribute('x2', geometry.end.x);
+      line.setAttribute('y2', geometry.end.y);
+      line.setAttribute('stroke', shape.color);
+      line.setAttribute('stroke-width', shape.width || 2);
+      layer.appendChild(line);
+
+      const head = document.createElementNS(svgNS, 'polygon');
+      head.setAttribute('points', geometry.head.map(p => `${p.x},${p.y}`).join(' '));
+      head.setAttribute('fill', shape.color);
+      layer.appendChild(head);
+
+      if (shape.clip) {
+        line.setAttribute('clip-path', `url(#${clipId})`);
+        head.setAttribute('clip-path', `url(#${clipId})`);
+      }
+    } else if (shape.type === 'labels') {
+      const geometry = pointLabelGeometry(layout, shape, shapes);
+      geometry.labels.forEach(label => {
+        if (label.leader) {
+          const leader = document.createElementNS(svgNS, 'line');
+          leader.setAttribute('x1', label.leader.x1);
+          leader.setAttribute('y1', label.leader.y1);
+          leader.setAttribute('x2', label.leader.x2);
+          leader.setAttribute('y2', label.leader.y2);
+          leader.setAttribute('stroke', label.color);
+          leader.setAttribute('stroke-width', 1);
+          layer.appendChild(leader);
+        }
+
+        // White halo keeps the name readable over gridlines and other points
+        const text = document.createElementNS(svgNS, 'text');
+        text.setAttribute('x', label.x);
+        text.setAttribute('y', label.y);
+        text.setAttribute('dominant-baseline', 'central');
+        text.setAttribute('fill', '#222');
+        text.setAttribute('stroke', '#ffffff');
+        text.setAttribute('stroke-width', 3);
+        text.setAttribute('stroke-linejoin', 'round');
+        text.setAttribute('paint-order', 'stroke');
+        text.setAttribute('font-family', OVERLAY_FONT_FAMILY);
+        text.setAttribute('font-size', LABEL_FONT_SIZE);
+        text.setAttribute('font-weight', 'bold');
+        text.textContent = label.text;
+        layer.appendChild(text);
+      });
+    }
+  });
+}
+
+/**
+ * Restrict canvas drawing to the chart area (call between save and restore)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} layout - Chart layout interface
+ */
+function clipToChartArea(ctx, layout) {
+  const area = layout.getChartAreaBoundingBox();
+  ctx.beginPath();
+  ctx.rect(area.left, area.top, area.width, area.height);
+  ctx.clip();
+}
+
+/**
+ * Paint overlay shapes onto a canvas holding an exported chart image
+ * @param {CanvasRenderingContext2D} ctx - Canvas context sized to the exported chart
+ * @param {Object} layout - Layout interface of the chart the image came from
+ * @param {Array} shapes - Overlay shapes
+ */
+function paintOverlay(ctx, layout, shapes) {
+  (shapes || []).forEach(shape => {
+    if (shape.type === 'box') {
+      const origin = boxOrigin(layout);
+      ctx.save();
+      const width = Math.max(...shape.lines.map((line, index) => {
+        ctx.font = `${index === 0 ? 'bold ' : ''}${OVERLAY_BOX_FONT_SIZE}px ${OVERLAY_FONT_FAMILY}`;
+        return ctx.measureText(line).width;
+      }));
+      const boxWidth = width + OVERLAY_BOX_PADDING * 2;
+      const boxHeight = shape.lines.length * OVERLAY_BOX_LINE_HEIGHT + OVERLAY_BOX_PADDING * 2;
+
+      ctx.globalAlpha = 0.9;
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(origin.x, origin.y, boxWidth, boxHeight);
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = '#999';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(origin.x, origin.y, boxWidth, boxHeight);
+
+      ctx.fillStyle = '#333';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'alphabetic';
+      shape.lines.forEach((line, index) => {
+        ctx.font = `${index === 0 ? 'bold ' : ''}${OVERLAY_BOX_FONT_SIZE}px ${OVERLAY_FONT_FAMILY}`;
+        ctx.fillText(line, origin.x + OVERLAY_BOX_PADDING,
+          origin.y + OVERLAY_BOX_PADDING + OVERLAY_BOX_FONT_SIZE + index * OVERLAY_BOX_LINE_HEIGHT);
+      });
+      ctx.restore();
+    } else if (shape.type === 'sizeKey') {
+      const geometry = sizeKeyGeometry(layout, shape);
+      ctx.save();
+      ctx.globalAlpha = 0.9;
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(geometry.left, geometry.top, geometry.width, geometry.height);
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = '#999';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(geometry.left, geometry.top, geometry.width, geometry.height);
+
+      ctx.fillStyle = '#333';
+      ctx.font = geometry.titleFont;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillText(shape.title, geometry.titleX, geometry.titleY);
+
+      geometry.circles.forEach(circle => {
+        ctx.beginPath();
+        ctx.arc(circle.cx, circle.cy, circle.r, 0, Math.PI * 2);
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = '#999';
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = '#666';
+        ctx.stroke();
+
+        ctx.fillStyle = '#333';
+        ctx.font = geometry.labelFont;
+        ctx.textAlign = 'center';
+        ctx.fillText(circle.label, circle.cx, circle.labelY);
+      });
+      ctx.restore();
+    } else if (shape.type === 'backdrop') {
+      const geometry = backdropGeometry(layout);
+      ctx.save();
+      ctx.fillStyle = shape.color || '#000';
+      ctx.globalAlpha = shape.opacity ?? 0.1;
+      ctx.font = `bold ${geometry.fontSize}px ${OVERLAY_FONT_FAMILY}`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(shape.text, geometry.x, geometry.y);
+      ctx.restore();
+    } else if (shape.type === 'path') {
+      ctx.save();
+      ctx.strokeStyle = shape.color;
+      ctx.lineWidth = shape.width || 2;
+      ctx.globalAlpha = shape.opacity ?? 1;
+      ctx.lineJoin = 'round';
+      if (shape.dash) ctx.setLineDash(shape.dash);
+      if (shape.clip) clipToChartArea(ctx, layout);
+      ctx.beginPath();
+      shape.points.forEach((p, index) => {
+        const projected = projectOverlayPoint(layout, p);
+        if (index === 0) {
+          ctx.moveTo(projected.x, projected.y);
+        } else {
+          ctx.lineTo(projected.x, projected.y);
+        }
+      });
+      ctx.stroke();
+      ctx.restore();
+    } else if (shape.type === 'text') {
+      const anchor = projectOverlayPoint(layout, shape.at);
+      const offset = shape.offset || { x: 0, y: 0 };
+      ctx.save();
+      if (shape.clip) clipToChartArea(ctx, layout);
+      ctx.fillStyle = shape.color || '#333';
+      ctx.font = `${shape.fontWeight || 'normal'} ${shape.fontSize || 12}px ${OVERLAY_FONT_FAMILY}`;
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillText(shape.text, anchor.x + offset.x, anchor.y + offset.y);
+      ctx.restore();
+    } else if (shape.type === 'arrow') {
+      const geometry = arrowGeometry(layout, shape);
+      if (!geometry) return;
+
+      ctx.save();
+      if (shape.clip) clipToChartArea(ctx, layout);
+      ctx.strokeStyle = shape.color;
+      ctx.fillStyle = shape.color;
+      ctx.lineWidth = shape.width || 2;
+      ctx.beginPath();
+      ctx.moveTo(geometry.start.x, geometry.start.y);
+      ctx.lineTo(geometry.end.x, geometry.end.y);
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.moveTo(geometry.head[0].x, geometry.head[0].y);
+      ctx.lineTo(geometry.head[1].x, geometry.head[1].y);
+      ctx.lineTo(geometry.head[2].x, geometry.head[2].y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.restore();
+    } else if (shape.type === 'labels') {
+      const geometry = pointLabelGeometry(layout, shape, shapes);
+      ctx.save();
+      ctx.font = geometry.font;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.lineJoin = 'round';
+      geometry.labels.forEach(label => {
+        if (label.leader) {
+          ctx.strokeStyle = label.color;
+          ctx.lineWidth = 1;
+          ctx.beginPath();
+          ctx.moveTo(label.leader.x1, label.leader.y1);
+          ctx.lineTo(label.leader.x2, label.leader.y2);
+          ctx.stroke();
+        }
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 3;
+        ctx.strokeText(label.text, label.x, label.y);
+        ctx.fillStyle = '#222';
+        ctx.fillText(label.text, label.x, label.y);
+      });
+      ctx.restore();
+    }
+  });
 }
 
 /**
@@ -309,5 +1611,10 @@ window.ChartRenderer = {
   showMessage,
   clearMessage,
   getCurrentChartData,
-  getChartInstance
+  getChartInstance,
+  formatIntensity,
+  formatPointValues,
+  applyAxisScale,
+  getBubbleSizes,
+  paintOverlay
 };
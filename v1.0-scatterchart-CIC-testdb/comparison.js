@@ -0,0 +1,224 @@
+/**
+ * Comparison Module
+ * Compares every plotted group against a baseline group: one sentence per
+ * group for the statement pill, plus a full table of ratios
+ */
+
+const COMPARISON_SIMILAR_TOLERANCE = 0.05; // Ratios within 5% of 1 read as "about the same"
+
+// Nouns for the Activity Data unit, so wording matches what is being measured
+const ACTIVITY_UNIT_NOUNS = [
+  { pattern: /^(k|m|g|t|p)?j$|^(k|m|g|t)?wh$|toe$|^therms?$/i, noun: 'energy' },
+  { pattern: /^(k|m)?t(onnes?)?$|^kg$/i, noun: 'material throughput' },
+  { pattern: /v(eh)?[-.\s]?km$|^km$/i, noun: 'vehicle distance' },
+  { pattern: /^(number|count|head)s?$/i, noun: 'count' }
+];
+
+/**
+ * Describe what the Activity Data unit measures
+ * @param {string} unit - Activity Data unit, e.g. 'TJ'
+ * @returns {string} Noun phrase such as "energy (TJ)"
+ */
+function describeActivityUnit(unit) {
+  const trimmed = (unit || '').trim();
+  const match = ACTIVITY_UNIT_NOUNS.find(entry => entry.pattern.test(trimmed));
+  const noun = match ? match.noun : 'activity';
+  return trimmed ? `${noun} (${trimmed})` : noun;
+}
+
+/**
+ * Compare one value against the baseline's, guarding against zero, negative and missing values
+ * @param {number|null} value - Group value
+ * @param {number|null} baselineValue - Baseline value
+ * @returns {Object} {ratio, status} - status is 'ok', 'missing', 'negative', 'both-zero', 'zero' or 'baseline-zero'
+ */
+function compareValues(value, baselineValue) {
+  const valid = v => v !== null && v !== undefined && isFinite(v);
+  if (!valid(value) || !valid(baselineValue)) return { ratio: null, status: 'missing' };
+  if (value < 0 || baselineValue < 0) return { ratio: null, status: 'negative' };
+  if (value === 0 && baselineValue === 0) return { ratio: null, status: 'both-zero' };
+  if (value === 0) return { ratio: 0, status: 'zero' };
+  if (baselineValue === 0) return { ratio: null, status: 'baseline-zero' };
+  return { ratio: value / baselineValue, status: 'ok' };
+}
+
+/**
+ * Format a ratio for reading aloud
+ * @param {number} ratio - Ratio >= 1
+ * @returns {string} e.g. "3.2" or "45"
+ */
+function formatRatio(ratio) {
+  return ratio >= 10 ? Math.round(ratio).toLocaleString() : ratio.toFixed(1);
+}
+
+/**
+ * Word a comparison as "3.2 times more" / "2.0 times less" / "about the same"
+ * @param {Object} comparison - Result of compareValues with status 'ok'
+ * @returns {string} Phrase
+ */
+function describeRatio(comparison) {
+  if (Math.abs(comparison.ratio - 1) <= COMPARISON_SIMILAR_TOLERANCE) return 'about the same';
+  return comparison.ratio > 1
+    ? `${formatRatio(comparison.ratio)} times more`
+    : `${formatRatio(1 / comparison.ratio)} times less`;
+}
+
+/**
+ * Build the sentence comparing one group with the baseline
+ * @param {Object} entry - Entry from buildComparison
+ * @param {Object} baseline - Baseline data point
+ * @param {Object} labels - {pollutantName, activityUnit}
+ * @returns {string} Sentence
+ */
+function describeComparisonEntry(entry, baseline, labels) {
+  const name = entry.point.groupName;
+  const pollutant = labels.pollutantName;
+  let emissions;
+
+  switch (entry.emissions.status) {
+    case 'ok': {
+      const phrase = describeRatio(entry.emissions);
+      emissions = phrase === 'about the same'
+        ? `${name} emits about the same ${pollutant} as ${baseline.groupName}`
+        : `${name} emits ${phrase} ${pollutant} than ${baseline.groupName}`;
+      break;
+    }
+    case 'zero':
+      emissions = `${name} emits no ${pollutant}, unlike ${baseline.groupName}`;
+      break;
+    case 'both-zero':
+      emissions = `Neither ${name} nor ${baseline.groupName} emits any ${pollutant}`;
+      break;
+    case 'baseline-zero':
+      emissions = `${name} emits ${pollutant} while ${baseline.groupName} emits none`;
+      break;
+    case 'negative':
+      emissions = `${name}'s ${pollutant} cannot be compared with ${baseline.groupName} as a ratio (negative values)`;
+      break;
+    default:
+      emissions = `${name} has no ${pollutant} figure to compare`;
+  }
+
+  const activityNoun = describeActivityUnit(labels.activityUnit);
+  let activity = '';
+  if (entry.activity.status === 'ok') {
+    const phrase = describeRatio(entry.activity);
+    activity = phrase === 'about the same'
+      ? `, for about the same ${activityNoun}`
+      : `, for ${phrase} ${activityNoun}`;
+  } else if (entry.activity.status === 'zero') {
+    activity = `, with no recorded ${activityNoun}`;
+  } else if (entry.activity.status === 'baseline-zero') {
+    activity = `, and ${baseline.groupName} has no recorded ${activityNoun}`;
+  }
+
+  return `${emissions}${activity}.`;
+}
+
+/**
+ * Compare each group against a baseline group
+ * @param {Array} dataPoints - Points from supabaseModule.getScatterData
+ * @param {Object} options - Comparison options
+ * @param {number} options.baselineGroupId - Baseline group (defaults to the first point)
+ * @param {string} options.pollutantName - Pollutant name for the sentences
+ * @param {string} options.activityUnit - Activity Data unit for the sentences
+ * @returns {Object|null} {baseline, entries: [{point, emissions, activity, intensity, sentence}]}, or null with fewer than two points
+ */
+function buildComparison(dataPoints, options = {}) {
+  if (!dataPoints || dataPoints.length < 2) return null;
+
+  const baseline = dataPoints.find(point => point.groupId === options.baselineGroupId) || dataPoints[0];
+  const labels = { pollutantName: options.pollutantName, activityUnit: options.activityUnit };
+
+  const entries = dataPoints
+    .filter(point => point !== baseline)
+    .map(point => {
+      const entry = {
+        point,
+        emissions: compareValues(point.pollutantValue, baseline.pollutantValue),
+        activity: compareValues(point.activityData, baseline.activityData),
+        intensity: compareValues(point.emissionIntensity, baseline.emissionIntensity)
+      };
+      entry.sentence = describeComparisonEntry(entry, baseline, labels);
+      return entry;
+    });
+
+  return { baseline, entries };
+}
+
+/**
+ * Format a ratio cell for the comparison table
+ * @param {Object} comparison - Result of compareValues
+ * @returns {string} e.g. "×3.2", or a dash when there is no ratio
+ */
+function formatRatioCell(comparison) {
+  if (comparison.status === 'both-zero') return '×1 (both zero)';
+  if (comparison.ratio === null) return '–';
+  return `×${comparison.ratio.toLocaleString(undefined, { maximumSignificantDigits: 3 })}`;
+}
+
+/**
+ * Render the full comparison table
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Object} comparison - Result of buildComparison
+ * @param {Object} units - {pollutant, activity, intensity} unit labels
+ */
+function renderComparisonTable(container, comparison, units) {
+  container.innerHTML = '';
+  if (!comparison) return;
+
+  const table = document.createElement('table');
+  table.className = 'comparison-table';
+
+  const headers = [
+    'Group',
+    `Emissions (${units.pollutant})`, 'vs baseline',
+    `Activity Data (${units.activity})`, 'vs baseline',
+    `Intensity (${units.intensity})`, 'vs baseline'
+  ];
+  const thead = document.createElement('thead');
+  const headerRow = document.createElement('tr');
+  headers.forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+
+  const formatValue = value => (value === null || value === undefined)
+    ? '–'
+    : value.toLocaleString(undefined, { maximumFractionDigits: 3 });
+
+  const tbody = document.createElement('tbody');
+  const baselineEntry = { point: comparison.baseline, baseline: true };
+  [baselineEntry, ...comparison.entries].forEach(entry => {
+    const point = entry.point;
+    const cells = entry.baseline
+      ? [`${point.groupName} (baseline)`, formatValue(point.pollutantValue), '×1',
+         formatValue(point.activityData), '×1',
+         window.ChartRenderer.formatIntensity(point.emissionIntensity), '×1']
+      : [point.groupName, formatValue(point.pollutantValue), formatRatioCell(entry.emissions),
+         formatValue(point.activityData), formatRatioCell(entry.activity),
+         window.ChartRenderer.formatIntensity(point.emissionIntensity), formatRatioCell(entry.intensity)];
+
+    const row = document.createElement('tr');
+    if (entry.baseline) row.className = 'baseline-row';
+    cells.forEach((text, index) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (index > 0) td.className = 'numeric';
+      row.appendChild(td);
+    });
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  container.appendChild(table);
+}
+
+// Export comparison functions
+window.Comparison = {
+  buildComparison,
+  describeActivityUnit,
+  renderComparisonTable
+};
@@ -0,0 +1,163 @@
+/**
+ * Data Quality Module
+ * Words the data-quality report from supabaseModule.getDataQualityReport and
+ * shows it in a dismissible notice above the chart
+ */
+
+const DATA_QUALITY_REASONS = {
+  'missing-activity-row': 'no Activity Data row',
+  'missing-x-row': 'no {x} row',
+  'missing-pollutant-row': 'no pollutant row',
+  'null-activity-value': 'no Activity Data value',
+  'null-x-value': 'no {x} value',
+  'null-pollutant-value': 'no pollutant value'
+};
+
+let dataQualityDismissedKey = null; // Selection the notice was dismissed for
+
+/**
+ * Format a list of years compactly, e.g. "1990-1995, 2001"
+ * @param {Array<number>} years - Ascending years
+ * @returns {string} Year ranges
+ */
+function formatYearRanges(years) {
+  const ranges = [];
+  years.forEach(year => {
+    const last = ranges[ranges.length - 1];
+    if (last && year === last[1] + 1) {
+      last[1] = year;
+    } else {
+      ranges.push([year, year]);
+    }
+  });
+  return ranges.map(([from, to]) => from === to ? `${from}` : `${from}-${to}`).join(', ');
+}
+
+/**
+ * Describe each finding in a data-quality report
+ * @param {Object} report - Result of supabaseModule.getDataQualityReport
+ * @param {Object} context - {pollutantName, xName} (xName defaults to 'Activity Data')
+ * @returns {Array<Object>} [{kind: 'excluded'|'zero-activity'|'jump', text}]
+ */
+function describeDataQualityReport(report, context) {
+  if (!report) return [];
+  const findings = [];
+  const xName = context.xName || 'Activity Data';
+
+  report.excluded.forEach(entry => {
+    const reason = (DATA_QUALITY_REASONS[entry.reason] || entry.reason).replace('{x}', xName);
+    findings.push({
+      kind: 'excluded',
+      text: `${entry.groupName} left out in ${formatYearRanges(entry.years)}: ${reason}`
+    });
+  });
+
+  report.zeroActivity.forEach(entry => {
+    findings.push({
+      kind: 'zero-activity',
+      text: `${entry.groupName} has zero Activity Data in ${formatYearRanges(entry.years)}, so no emission intensity`
+    });
+  });
+
+  report.jumps.forEach(jump => {
+    const series = jump.series === 'x' ? xName : context.pollutantName;
+    const factor = jump.ratio >= 1 ? jump.ratio : 1 / jump.ratio;
+    const direction = jump.ratio >= 1 ? 'rose' : 'fell';
+    findings.push({
+      kind: 'jump',
+      text: `${jump.groupName}: ${series} ${direction} ×${factor.toFixed(1)} from ${jump.fromYear} to ${jump.toYear} (possible outlier)`
+    });
+  });
+
+  return findings;
+}
+
+/**
+ * Summarise a data-quality report as one line of plain text, for export metadata
+ * @param {Object} report - Result of supabaseModule.getDataQualityReport
+ * @param {Object} context - {pollutantName, xName} (xName defaults to 'Activity Data')
+ * @returns {string} Findings separated by "; ", or "No issues found"
+ */
+function summariseDataQualityReport(report, context) {
+  const findings = describeDataQualityReport(report, context);
+  return findings.length > 0 ? findings.map(finding => finding.text).join('; ') : 'No issues found';
+}
+
+/**
+ * Show the report in the notice above the chart (hidden when there is nothing to report
+ * or the user dismissed it for this selection)
+ * @param {Object} report - Result of supabaseModule.getDataQualityReport
+ * @param {Object} context - Notice context
+ * @param {string} context.pollutantName - Pollutant name
+ * @param {string} context.xName - x-axis variable name (defaults to 'Activity Data')
+ * @param {string} context.selectionKey - Identifies the selection; dismissing lasts until it changes
+ */
+function renderDataQualityNotice(report, context) {
+  if (context.selectionKey !== dataQualityDismissedKey) {
+    dataQualityDismissedKey = null;
+  }
+
+  const findings = describeDataQualityReport(report, context);
+  if (findings.length === 0 || dataQualityDismissedKey !== null) {
+    hideDataQualityNotice();
+    return;
+  }
+
+  let notice = document.getElementById('dataQualityNotice');
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.id = 'dataQualityNotice';
+    notice.className = 'data-quality-notice';
+    notice.setAttribute('role', 'status');
+    const chartWrapper = document.querySelector('.chart-wrapper');
+    chartWrapper.parentNode.insertBefore(notice, chartWrapper);
+  }
+  notice.innerHTML = '';
+
+  const dismissBtn = document.createElement('button');
+  dismissBtn.type = 'button';
+  dismissBtn.className = 'data-quality-dismiss';
+  dismissBtn.setAttribute('aria-label', 'Dismiss data quality notice');
+  dismissBtn.textContent = '×';
+  dismissBtn.addEventListener('click', () => {
+    dataQualityDismissedKey = context.selectionKey;
+    hideDataQualityNotice();
+  });
+
+  const excludedCount = new Set(report.excluded.map(entry => entry.groupId)).size;
+  const heading = document.createElement('strong');
+  heading.textContent = excludedCount > 0
+    ? `Data quality: ${excludedCount} group${excludedCount === 1 ? '' : 's'} left out or incomplete`
+    : 'Data quality notes';
+
+  const list = document.createElement('ul');
+  findings.forEach(finding => {
+    const item = document.createElement('li');
+    item.className = `data-quality-${finding.kind}`;
+    item.textContent = finding.text;
+    list.appendChild(item);
+  });
+
+  notice.appendChild(dismissBtn);
+  notice.appendChild(heading);
+  notice.appendChild(list);
+  notice.style.display = 'block';
+}
+
+/**
+ * Hide the data-quality notice
+ */
+function hideDataQualityNotice() {
+  const notice = document.getElementById('dataQualityNotice');
+  if (notice) {
+    notice.style.display = 'none';
+  }
+}
+
+// Export data quality functions
+window.DataQuality = {
+  describeDataQualityReport,
+  summariseDataQualityReport,
+  renderDataQualityNotice,
+  hideDataQualityNotice
+};
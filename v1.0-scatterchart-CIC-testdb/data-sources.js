@@ -0,0 +1,237 @@
+/**
+ * Data Source Module
+ * Decides where the scatter chart loads its tables from: the live Supabase
+ * project (default) or a local fixture dataset of JSON/CSV files
+ *
+ * Selection (URL parameters take precedence over config; the fixture path is
+ * an example, no dataset ships with the repo):
+ *   ?source=local&dataset=./fixtures/naei2023
+ *   window.DataSourceConfig = { source: 'local', dataset: './fixtures/naei2023' }
+ *
+ * For the Supabase source, `dataset` names the NAEI edition instead, e.g.
+ *   ?dataset=2024ds  ->  NAEI_2024ds_t_Group_Data
+ *
+ * A local dataset is either a directory holding pollutants, groups and
+ * timeseries tables (each as .json or .csv), or a single .json bundle of the
+ * form { pollutants: [...], groups: [...], timeseries: [...] }
+ */
+
+const LOCAL_TABLE_FILES = {
+  pollutants: 'pollutants',
+  groups: 'groups',
+  timeseries: 'timeseries'
+};
+
+// CSV columns holding numbers (as in the Supabase schema); every other column
+// stays text, so a group titled "2030" is not turned into a number
+const LOCAL_NUMERIC_COLUMNS = {
+  pollutants: ['id'],
+  groups: ['id'],
+  timeseries: ['id', 'pollutant_id', 'group_id']
+};
+const LOCAL_YEAR_COLUMN = /^f\d{4}$/; // Timeseries year columns, e.g. f2023
+
+/**
+ * Check a requested dataset edition against the configured editions
+ * @param {string|null} edition - Requested edition, e.g. '2024ds'
+ * @returns {string|null} The edition if known, otherwise the default edition
+ */
+function validateEdition(edition) {
+  const config = window.SupabaseConfig || {};
+  const editions = config.DATASET_EDITIONS || [];
+  const fallback = config.DEFAULT_DATASET_EDITION || null;
+
+  if (!edition) return fallback;
+  if (editions.includes(edition)) return edition;
+
+  console.warn(`Unknown dataset edition "${edition}", using ${fallback}`);
+  return fallback;
+}
+
+/**
+ * Work out which data source to use
+ * @returns {Object} {type: 'supabase'|'local', dataset: string|null, edition: string|null}
+ */
+function resolveDataSource() {
+  const config = window.DataSourceConfig || {};
+  const params = new URLSearchParams(window.location.search);
+
+  const type = (params.get('source') || config.source || 'supabase').toLowerCase();
+  const dataset = params.get('dataset') || config.dataset || null;
+
+  if (type === 'local') {
+    if (!dataset) {
+      console.warn('Local data source requested without a dataset path, falling back to Supabase');
+      return { type: 'supabase', dataset: null, edition: validateEdition(null) };
+    }
+    return { type: 'local', dataset: dataset.replace(/\/+$/, ''), edition: null };
+  }
+
+  if (type !== 'supabase') {
+    console.warn(`Unknown data source "${type}", falling back to Supabase`);
+  }
+  return { type: 'supabase', dataset: null, edition: validateEdition(dataset) };
+}
+
+/**
+ * Whether a column of a local table holds numbers
+ * @param {string} table - Table name from LOCAL_TABLE_FILES
+ * @param {string} column - Column header
+ * @returns {boolean} True for id columns and timeseries year columns
+ */
+function isNumericColumn(table, column) {
+  if (table === LOCAL_TABLE_FILES.timeseries && LOCAL_YEAR_COLUMN.test(column)) return true;
+  return (LOCAL_NUMERIC_COLUMNS[table] || []).includes(column);
+}
+
+/**
+ * Convert a CSV cell to the type Supabase would have returned
+ * @param {string} value - Raw cell text
+ * @param {boolean} numeric - Whether the column holds numbers
+ * @returns {number|string|null} Number for numeric cells, trimmed text otherwise,
+ *   null for empty cells (and for the text `null` in numeric columns)
+ */
+function coerceCsvValue(value, numeric) {
+  const trimmed = value.trim();
+  if (trimmed === '' || (numeric && trimmed.toLowerCase() === 'null')) return null;
+  if (numeric && /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed)) return Number(trimmed);
+  return trimmed;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into an array of row objects keyed by header
+ * @param {string} text - CSV file contents
+ * @param {string} table - Table name from LOCAL_TABLE_FILES, deciding which columns are numeric
+ * @returns {Array<Object>} Parsed rows
+ */
+function parseCSV(text, table) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.length > 1 || r[0] !== '');
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(h => h.replace(/^\uFEFF/, '').trim());
+  return nonEmpty.slice(1).map(values => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = coerceCsvValue(values[index] ?? '', isNumericColumn(table, header));
+    });
+    return row;
+  });
+}
+
+/**
+ * Extract the row array from a parsed JSON table file
+ * @param {*} json - Parsed JSON
+ * @param {string} url - File URL (for error messages)
+ * @returns {Array} Table rows
+ */
+function rowsFromJson(json, url) {
+  if (Array.isArray(json)) return json;
+  if (json && Array.isArray(json.data)) return json.data;
+  throw new Error(`Unexpected JSON table format in ${url}`);
+}
+
+/**
+ * Fetch one table of a local dataset directory, preferring JSON over CSV
+ * @param {string} basePath - Dataset directory
+ * @param {string} name - Table file name without extension
+ * @returns {Promise<Array>} Table rows
+ */
+async function fetchLocalTable(basePath, name) {
+  const jsonUrl = `${basePath}/${name}.json`;
+  const jsonResp = await fetch(jsonUrl);
+  if (jsonResp.ok) {
+    return rowsFromJson(await jsonResp.json(), jsonUrl);
+  }
+
+  const csvUrl = `${basePath}/${name}.csv`;
+  const csvResp = await fetch(csvUrl);
+  if (csvResp.ok) {
+    return parseCSV(await csvResp.text(), name);
+  }
+
+  throw new Error(`Local table "${name}" not found (tried ${jsonUrl} and ${csvUrl})`);
+}
+
+/**
+ * Load pollutants, groups and timeseries from a local dataset
+ * @param {string} dataset - Dataset directory or .json bundle path
+ * @param {Object} options - Load options
+ * @param {Function} options.onProgress - Called with {table, loaded, total} once timeseries is read
+ * @returns {Promise<Object>} {pollutants, groups, rows}
+ */
+async function loadLocalDataset(dataset, options = {}) {
+  console.log(`Loading scatter chart data from local dataset: ${dataset}`);
+
+  let pollutants, groups, rows;
+
+  if (/\.json$/i.test(dataset)) {
+    const resp = await fetch(dataset);
+    if (!resp.ok) {
+      throw new Error(`Local dataset bundle not found: ${dataset} (${resp.status})`);
+    }
+    const bundle = await resp.json();
+    pollutants = bundle.pollutants || [];
+    groups = bundle.groups || [];
+    rows = bundle.timeseries || [];
+  } else {
+    [pollutants, groups, rows] = await Promise.all([
+      fetchLocalTable(dataset, LOCAL_TABLE_FILES.pollutants),
+      fetchLocalTable(dataset, LOCAL_TABLE_FILES.groups),
+      fetchLocalTable(dataset, LOCAL_TABLE_FILES.timeseries)
+    ]);
+  }
+
+  if (typeof options.onProgress === 'function') {
+    options.onProgress({ table: LOCAL_TABLE_FILES.timeseries, loaded: rows.length, total: rows.length });
+  }
+
+  console.log(`Loaded local dataset: ${pollutants.length} pollutants, ${groups.length} groups, ${rows.length} data rows`);
+
+  return { pollutants, groups, rows };
+}
+
+// Export data source functions
+window.DataSources = {
+  resolveDataSource,
+  validateEdition,
+  loadLocalDataset,
+  parseCSV
+};
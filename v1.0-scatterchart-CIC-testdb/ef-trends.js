@@ -0,0 +1,321 @@
+/**
+ * Emission Factor Trends Module
+ * For each selected group, regresses pollutant emissions on Activity Data
+ * across a year range and reports the implied emission factor (EF) and how
+ * it changed, in a side panel that can be downloaded as CSV
+ */
+
+let efTrendSelection = null; // Returns {pollutantId, groupIds} for the current chart
+let efTrendRange = { startYear: null, endYear: null };
+let efTrendRows = [];
+
+/**
+ * Fit emission factor trends for each group
+ * @param {number} startYear - First year
+ * @param {number} endYear - Last year
+ * @param {number} pollutantId - Pollutant ID
+ * @param {Array<number>} groupIds - Group IDs
+ * @returns {Array<Object>} One row per group with data:
+ *   {groupId, groupName, yearsUsed, fit, firstYear, lastYear, efStart, efEnd, efChangePercent, annualChangePercent}
+ */
+function computeEmissionFactorTrends(startYear, endYear, pollutantId, groupIds) {
+  const trajectories = window.supabaseModule.getTrajectoryData(startYear, endYear, pollutantId, groupIds);
+
+  return trajectories.map(trajectory => {
+    const points = trajectory.points;
+
+    // Pollutant vs activity across the years: the slope is the implied marginal EF
+    const fit = window.Regression.fitOrdinaryLeastSquares(
+      points.map(point => point.activityData),
+      points.map(point => point.pollutantValue)
+    );
+
+    // Observed EF (intensity) at each end of the range
+    const withEf = points.filter(point => point.emissionIntensity !== null);
+    const first = withEf[0] || null;
+    const last = withEf[withEf.length - 1] || null;
+    const efChangePercent = first && last && first !== last && first.emissionIntensity > 0
+      ? ((last.emissionIntensity - first.emissionIntensity) / first.emissionIntensity) * 100
+      : null;
+
+    // Average annual change from a log-linear fit of EF on year
+    const positiveEf = withEf.filter(point => point.emissionIntensity > 0);
+    const yearFit = window.Regression.fitOrdinaryLeastSquares(
+      positiveEf.map(point => point.year),
+      positiveEf.map(point => Math.log(point.emissionIntensity))
+    );
+
+    return {
+      groupId: trajectory.groupId,
+      groupName: trajectory.groupName,
+      yearsUsed: points.length,
+      fit: fit,
+      firstYear: first ? first.year : null,
+      lastYear: last ? last.year : null,
+      efStart: first ? first.emissionIntensity : null,
+      efEnd: last ? last.emissionIntensity : null,
+      efChangePercent: efChangePercent,
+      annualChangePercent: yearFit ? (Math.exp(yearFit.slope) - 1) * 100 : null
+    };
+  });
+}
+
+/**
+ * Describe how a group's emission factor changed, e.g. "EF fell 43% between 2005 and 2023"
+ * @param {Object} row - Row from computeEmissionFactorTrends
+ * @returns {string} Summary
+ */
+function describeEfChange(row) {
+  if (row.efChangePercent === null) {
+    return row.firstYear === null
+      ? 'No emission factor (no Activity Data in range)'
+      : 'Not enough years to measure a change';
+  }
+
+  const size = Math.abs(row.efChangePercent);
+  if (size < 0.5) return `EF unchanged between ${row.firstYear} and ${row.lastYear}`;
+  const direction = row.efChangePercent < 0 ? 'fell' : 'rose';
+  return `EF ${direction} ${size.toFixed(size < 10 ? 1 : 0)}% between ${row.firstYear} and ${row.lastYear}`;
+}
+
+/**
+ * Format a number for the panel and CSV
+ * @param {number|null} value - Value
+ * @returns {string} Three significant figures, or empty when missing
+ */
+function formatEfNumber(value) {
+  if (value === null || value === undefined || !isFinite(value)) return '';
+  return Number(value.toPrecision(3)).toString();
+}
+
+/**
+ * Build the CSV table for the current rows
+ * @param {Array<Object>} rows - Rows from computeEmissionFactorTrends
+ * @param {Object} context - {pollutantName, efUnit, pollutantUnit, datasetEdition}
+ * @returns {string} CSV text
+ */
+function efTrendsToCsv(rows, context) {
+  const quote = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const header = [
+    'group', 'pollutant', 'dataset_edition', 'first_year', 'last_year', 'years_used',
+    `fitted_ef_${context.efUnit}`, `intercept_${context.pollutantUnit}`, 'r_squared',
+    `ef_first_year_${context.efUnit}`, `ef_last_year_${context.efUnit}`,
+    'ef_change_percent', 'ef_annual_change_percent', 'summary'
+  ];
+
+  const lines = rows.map(row => [
+    row.groupName,
+    context.pollutantName,
+    context.datasetEdition || '',
+    row.firstYear,
+    row.lastYear,
+    row.yearsUsed,
+    row.fit ? formatEfNumber(row.fit.slope) : '',
+    row.fit ? formatEfNumber(row.fit.intercept) : '',
+    row.fit ? row.fit.rSquared.toFixed(3) : '',
+    formatEfNumber(row.efStart),
+    formatEfNumber(row.efEnd),
+    row.efChangePercent === null ? '' : row.efChangePercent.toFixed(1),
+    row.annualChangePercent === null ? '' : row.annualChangePercent.toFixed(2),
+    describeEfChange(row)
+  ].map(quote).join(','));
+
+  return [header.map(quote).join(','), ...lines].join('\n');
+}
+
+/**
+ * Bind the panel's controls
+ * @param {Object} options - Panel options
+ * @param {Function} options.getSelection - Returns {pollutantId, groupIds} for the current chart
+ */
+function setupEfTrendPanel(options = {}) {
+  efTrendSelection = options.getSelection;
+
+  document.getElementById('efTrendToggle').addEventListener('click', () => {
+    const panel = document.getElementById('efTrendPanel');
+    if (panel.classList.contains('open')) {
+      closeEfTrendPanel();
+    } else {
+      openEfTrendPanel();
+    }
+  });
+  document.getElementById('efTrendClose').addEventListener('click', closeEfTrendPanel);
+  document.getElementById('efTrendDownload').addEventListener('click', downloadEfTrendCsv);
+
+  ['efTrendStartYear', 'efTrendEndYear'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      efTrendRange = {
+        startYear: parseInt(document.getElementById('efTrendStartYear').value),
+        endYear: parseInt(document.getElementById('efTrendEndYear').value)
+      };
+      refreshEfTrendPanel();
+    });
+  });
+}
+
+/**
+ * Fill the year range selectors, keeping the chosen range where possible
+ * @param {Array<number>} years - Available years
+ */
+function setEfTrendYears(years) {
+  const ascending = [...years].sort((a, b) => a - b);
+  if (ascending.length === 0) return;
+
+  const startSelect = document.getElementById('efTrendStartYear');
+  const endSelect = document.getElementById('efTrendEndYear');
+  startSelect.innerHTML = '';
+  endSelect.innerHTML = '';
+  ascending.forEach(year => {
+    startSelect.appendChild(new Option(year, year));
+    endSelect.appendChild(new Option(year, year));
+  });
+
+  const first = ascending[0];
+  const last = ascending[ascending.length - 1];
+  efTrendRange = {
+    startYear: ascending.includes(efTrendRange.startYear) ? efTrendRange.startYear : first,
+    endYear: ascending.includes(efTrendRange.endYear) ? efTrendRange.endYear : last
+  };
+  startSelect.value = String(efTrendRange.startYear);
+  endSelect.value = String(efTrendRange.endYear);
+}
+
+/**
+ * Open the side panel
+ */
+function openEfTrendPanel() {
+  const panel = document.getElementById('efTrendPanel');
+  panel.classList.add('open');
+  panel.setAttribute('aria-hidden', 'false');
+  document.getElementById('efTrendToggle').setAttribute('aria-expanded', 'true');
+  refreshEfTrendPanel();
+}
+
+/**
+ * Close the side panel
+ */
+function closeEfTrendPanel() {
+  const panel = document.getElementById('efTrendPanel');
+  panel.classList.remove('open');
+  panel.setAttribute('aria-hidden', 'true');
+  document.getElementById('efTrendToggle').setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Recompute and redraw the panel for the current selection (no-op while closed)
+ */
+function refreshEfTrendPanel() {
+  const panel = document.getElementById('efTrendPanel');
+  if (!panel || !panel.classList.contains('open') || !efTrendSelection) return;
+
+  const body = document.getElementById('efTrendBody');
+  const downloadBtn = document.getElementById('efTrendDownload');
+  body.innerHTML = '';
+
+  const { pollutantId, groupIds } = efTrendSelection();
+  const { startYear, endYear } = efTrendRange;
+
+  if (!pollutantId || groupIds.length === 0) {
+    body.textContent = 'Select a pollutant and at least one group.';
+    efTrendRows = [];
+    downloadBtn.disabled = true;
+    return;
+  }
+  if (!(startYear < endYear)) {
+    body.textContent = 'Choose a start year before the end year.';
+    efTrendRows = [];
+    downloadBtn.disabled = true;
+    return;
+  }
+
+  efTrendRows = computeEmissionFactorTrends(startYear, endYear, pollutantId, groupIds);
+  downloadBtn.disabled = efTrendRows.length === 0;
+
+  if (efTrendRows.length === 0) {
+    body.textContent = 'No data for the selected groups in this range.';
+    return;
+  }
+
+  const efUnit = window.supabaseModule.getEmissionIntensityUnit(pollutantId);
+  efTrendRows.forEach(row => {
+    const card = document.createElement('div');
+    card.className = 'ef-trend-card';
+
+    const title = document.createElement('div');
+    title.className = 'ef-trend-group';
+    const swatch = document.createElement('span');
+    swatch.className = 'ranking-swatch';
+    swatch.style.backgroundColor = window.Colors.getColorForGroup(row.groupName);
+    title.appendChild(swatch);
+    title.appendChild(document.createTextNode(row.groupName));
+
+    const summary = document.createElement('div');
+    summary.className = 'ef-trend-summary';
+    summary.textContent = describeEfChange(row);
+
+    const details = document.createElement('dl');
+    const addDetail = (label, value) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value || '–';
+      details.appendChild(dt);
+      details.appendChild(dd);
+    };
+    addDetail(`EF ${row.firstYear ?? ''}`, row.efStart !== null ? `${formatEfNumber(row.efStart)} ${efUnit}` : '');
+    addDetail(`EF ${row.lastYear ?? ''}`, row.efEnd !== null ? `${formatEfNumber(row.efEnd)} ${efUnit}` : '');
+    addDetail('Average change', row.annualChangePercent !== null ? `${row.annualChangePercent.toFixed(1)}% per year` : '');
+    addDetail('Fitted EF (slope)', row.fit ? `${formatEfNumber(row.fit.slope)} ${efUnit}` : 'Not enough variation in activity');
+    addDetail('R²', row.fit ? row.fit.rSquared.toFixed(3) : '');
+    addDetail('Years used', String(row.yearsUsed));
+
+    card.appendChild(title);
+    card.appendChild(summary);
+    card.appendChild(details);
+    body.appendChild(card);
+  });
+}
+
+/**
+ * Download the panel's table as CSV
+ */
+function downloadEfTrendCsv() {
+  if (efTrendRows.length === 0 || !efTrendSelection) return;
+
+  const { pollutantId } = efTrendSelection();
+  const pollutantName = window.supabaseModule.getPollutantName(pollutantId);
+  const csv = efTrendsToCsv(efTrendRows, {
+    pollutantName,
+    efUnit: window.supabaseModule.getEmissionIntensityUnit(pollutantId),
+    pollutantUnit: window.supabaseModule.getPollutantUnit(pollutantId),
+    datasetEdition: window.supabaseModule.datasetEdition
+  });
+
+  const filename = `${pollutantName.replace(/[^a-z0-9_\-]/gi, '_')}_EF_trends_${efTrendRange.startYear}-${efTrendRange.endYear}.csv`;
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+  window.supabaseModule.trackAnalytics('ef_trends_csv_downloaded', {
+    pollutant: pollutantName,
+    start_year: efTrendRange.startYear,
+    end_year: efTrendRange.endYear,
+    group_count: efTrendRows.length
+  });
+}
+
+// Export emission factor trend functions
+window.EfTrends = {
+  computeEmissionFactorTrends,
+  describeEfChange,
+  efTrendsToCsv,
+  setupEfTrendPanel,
+  setEfTrendYears,
+  refreshEfTrendPanel
+};
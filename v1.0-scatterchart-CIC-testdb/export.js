@@ -1,11 +1,12 @@
 /**
  * Export and Share Module
- * Handles PNG export and share functionality for scatter charts
+ * Handles PNG and data (CSV/JSON/XLSX) export and share functionality for scatter charts
  */
 
 const EXPORT_MIN_SCALE = 16;
 const EXPORT_MAX_DIM = 16000;
 const EXPORT_MAX_PIXELS = 100_000_000;
+const SMALL_MULTIPLES_EXPORT_SCALE = 2; // Grid exports hold several charts, so a smaller scale than single charts
 
 /**
  * Compute a safe export scale
@@ -23,9 +24,11 @@ function computeSafeExportScale(origW, origH, desiredScale) {
 
 /**
  * Generate chart image as PNG
+ * @param {Object} options - Image options
+ * @param {number} options.scale - Resolution multiplier (default: device pixel ratio, at least EXPORT_MIN_SCALE)
  * @returns {Promise<string>} Base64 encoded PNG data URL
  */
-async function generateChartImage() {
+async function generateChartImage(options = {}) {
   return new Promise((resolve, reject) => {
     const chart = window.ChartRenderer.getChartInstance();
     const chartData = window.ChartRenderer.getCurrentChartData();
@@ -39,7 +42,7 @@ async function generateChartImage() {
     const origW = chartDiv.offsetWidth || 1200;
     const origH = chartDiv.offsetHeight || 800;
     
-    const desiredScale = Math.max(window.devicePixelRatio || 1, EXPORT_MIN_SCALE);
+    const desiredScale = options.scale || Math.max(window.devicePixelRatio || 1, EXPORT_MIN_SCALE);
     const scale = computeSafeExportScale(origW, origH, desiredScale);
     
     const exportW = Math.round(origW * scale);
@@ -54,7 +57,7 @@ async function generateChartImage() {
     tempDiv.style.top = '-99999px';
     document.body.appendChild(tempDiv);
 
-    const tempChart = new google.visualization.ScatterChart(tempDiv);
+    const tempChart = new google.visualization[chartData.chartType || 'ScatterChart'](tempDiv);
     
     // Clone and adjust options for export
     const exportOptions = JSON.parse(JSON.stringify(chartData.options));
@@ -63,12 +66,20 @@ async function generateChartImage() {
     exportOptions.chartArea = exportOptions.chartArea || {};
     exportOptions.chartArea.width = '75%';
     exportOptions.chartArea.height = '70%';
+    delete exportOptions.animation; // Capture final positions, not a playback transition
 
     google.visualization.events.addListener(tempChart, 'ready', function() {
       try {
         const uri = tempChart.getImageURI();
+        const layout = tempChart.getChartLayoutInterface();
         document.body.removeChild(tempDiv);
-        resolve(uri);
+
+        // Arrows and other overlays are not part of Google's image, so paint them on
+        if (chartData.overlays && chartData.overlays.length > 0) {
+          compositeOverlay(uri, layout, chartData.overlays).then(resolve, reject);
+        } else {
+          resolve(uri);
+        }
       } catch (error) {
         document.body.removeChild(tempDiv);
         reject(error);
@@ -84,20 +95,372 @@ async function generateChartImage() {
   });
 }
 
+/**
+ * Paint chart overlays onto an exported chart image
+ * @param {string} imageURI - PNG data URL from getImageURI()
+ * @param {Object} layout - Layout interface of the chart the image came from
+ * @param {Array} overlays - Overlay shapes from the current chart data
+ * @returns {Promise<string>} PNG data URL including the overlays
+ */
+function compositeOverlay(imageURI, layout, overlays) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width;
+      canvas.height = img.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      window.ChartRenderer.paintOverlay(ctx, layout, overlays);
+      resolve(canvas.toDataURL('image/png'));
+    };
+    img.onerror = () => reject(new Error('Failed to load chart image for overlay'));
+    img.src = imageURI;
+  });
+}
+
+/**
+ * Render one chart offscreen and return its PNG
+ * @param {string} chartType - google.visualization chart class, e.g. 'ScatterChart'
+ * @param {Object} data - DataTable
+ * @param {Object} options - Chart options including width and height
+ * @returns {Promise<string>} PNG data URL
+ */
+function renderOffscreenChart(chartType, data, options) {
+  return new Promise((resolve, reject) => {
+    const tempDiv = document.createElement('div');
+    tempDiv.style.width = options.width + 'px';
+    tempDiv.style.height = options.height + 'px';
+    tempDiv.style.position = 'absolute';
+    tempDiv.style.left = '-99999px';
+    tempDiv.style.top = '-99999px';
+    document.body.appendChild(tempDiv);
+
+    const tempChart = new google.visualization[chartType](tempDiv);
+    google.visualization.events.addListener(tempChart, 'ready', () => {
+      const uri = tempChart.getImageURI();
+      document.body.removeChild(tempDiv);
+      resolve(uri);
+    });
+
+    try {
+      tempChart.draw(data, options);
+    } catch (error) {
+      document.body.removeChild(tempDiv);
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Load a data URL into an image
+ * @param {string} src - Image data URL
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadExportImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load export image'));
+    img.src = src;
+  });
+}
+
+/**
+ * Generate the small-multiples grid as one PNG: title, shared legend, then the
+ * panels in the same columns as on screen
+ * @returns {Promise<string>} PNG data URL
+ */
+async function generateSmallMultiplesImage() {
+  const grid = window.SmallMultiples.getSmallMultiplesData();
+  if (!grid || grid.panels.length === 0) {
+    throw new Error('No small multiples available to export');
+  }
+
+  const container = document.getElementById('smallMultiplesGrid');
+  const firstPanel = container.querySelector('.small-multiples-chart');
+  const panelW = (firstPanel && firstPanel.offsetWidth) || 400;
+  const panelH = (firstPanel && firstPanel.offsetHeight) || 320;
+  const rows = Math.ceil(grid.panels.length / grid.columns);
+  const scale = computeSafeExportScale(panelW * grid.columns, panelH * rows,
+    Math.max(window.devicePixelRatio || 1, SMALL_MULTIPLES_EXPORT_SCALE));
+
+  // Panels are rendered one at a time to keep memory down
+  const images = [];
+  for (const panel of grid.panels) {
+    if (panel.points.length === 0) {
+      images.push(null);
+      continue;
+    }
+    const { data, options } = window.SmallMultiples.buildMultiplesChart(panel, scale);
+    options.width = Math.round(panelW * scale);
+    options.height = Math.round(panelH * scale);
+    images.push(await loadExportImage(await renderOffscreenChart('ScatterChart', data, options)));
+  }
+
+  const margin = 24 * scale;
+  const gap = 16 * scale;
+  const noteHeight = 18 * scale;
+  const cellW = Math.round(panelW * scale);
+  const cellH = Math.round(panelH * scale) + noteHeight;
+  const width = grid.columns * cellW + (grid.columns - 1) * gap + 2 * margin;
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const font = (size, weight = 'normal') => `${weight} ${size * scale}px Arial, sans-serif`;
+
+  // Lay the legend out in rows before sizing the canvas
+  const swatch = 12 * scale;
+  const legendGap = 20 * scale;
+  const legendRows = [[]];
+  let rowWidth = 0;
+  ctx.font = font(14, 'bold');
+  grid.legend.forEach(entry => {
+    const itemWidth = swatch + 8 * scale + ctx.measureText(entry.groupName).width;
+    if (rowWidth > 0 && rowWidth + legendGap + itemWidth > width - 2 * margin) {
+      legendRows.push([]);
+      rowWidth = 0;
+    }
+    legendRows[legendRows.length - 1].push({ ...entry, width: itemWidth });
+    rowWidth += (rowWidth > 0 ? legendGap : 0) + itemWidth;
+  });
+
+  const titleLines = [
+    { text: String(grid.year), font: font(28, 'bold'), height: 36 * scale },
+    { text: grid.heading, font: font(20), height: 28 * scale }
+  ];
+  if (grid.datasetEdition) {
+    titleLines.push({ text: `NAEI ${grid.datasetEdition} dataset`, font: font(14), height: 22 * scale });
+  }
+  const titleHeight = titleLines.reduce((sum, line) => sum + line.height, 0);
+  const legendLineHeight = 24 * scale;
+  const headerHeight = margin + titleHeight + 8 * scale + legendRows.length * legendLineHeight + gap;
+
+  canvas.width = Math.round(width);
+  canvas.height = Math.round(headerHeight + rows * cellH + (rows - 1) * gap + margin);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = '#000000';
+  let y = margin;
+  titleLines.forEach(line => {
+    ctx.font = line.font;
+    ctx.fillText(line.text, canvas.width / 2, y);
+    y += line.height;
+  });
+  y += 8 * scale;
+
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.font = font(14, 'bold');
+  legendRows.forEach(row => {
+    const total = row.reduce((sum, item) => sum + item.width, 0) + legendGap * (row.length - 1);
+    let x = (canvas.width - total) / 2;
+    const middle = y + legendLineHeight / 2;
+    row.forEach(item => {
+      ctx.fillStyle = item.color;
+      ctx.beginPath();
+      ctx.arc(x + swatch / 2, middle, swatch / 2, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.fillStyle = '#000000';
+      ctx.fillText(item.groupName, x + swatch + 8 * scale, middle);
+      x += item.width + legendGap;
+    });
+    y += legendLineHeight;
+  });
+  y += gap;
+
+  grid.panels.forEach((panel, index) => {
+    const x = margin + (index % grid.columns) * (cellW + gap);
+    const top = y + Math.floor(index / grid.columns) * (cellH + gap);
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#666666';
+    if (images[index]) {
+      ctx.drawImage(images[index], x, top, cellW, cellH - noteHeight);
+    } else {
+      ctx.font = font(14);
+      ctx.fillText(`${panel.pollutantName}: no data for the selected groups`, x + cellW / 2, top + (cellH - noteHeight) / 2);
+    }
+    if (panel.note) {
+      ctx.font = font(12);
+      ctx.fillText(panel.note, x + cellW / 2, top + cellH - noteHeight / 2);
+    }
+  });
+
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Describe the exported small-multiples grid for the PNG's text metadata
+ * @param {Object} grid - Result of SmallMultiples.getSmallMultiplesData
+ * @returns {Object} Keyword -> text
+ */
+function buildSmallMultiplesMetadata(grid) {
+  const names = grid.panels.map(panel => panel.pollutantName).join(', ');
+  return {
+    Title: `${names} vs ${grid.xName || 'Activity Data'} (${grid.year})`,
+    Source: grid.datasetEdition ? `NAEI ${grid.datasetEdition} dataset` : 'NAEI dataset',
+    URL: window.location.origin + window.location.pathname + '?' + window.ScatterApp.buildShareQuery(),
+    'Creation Time': new Date().toISOString()
+  };
+}
+
+/**
+ * Download the small-multiples grid as one PNG file
+ */
+async function downloadSmallMultiplesPNG() {
+  const grid = window.SmallMultiples.getSmallMultiplesData();
+  const imageData = addPngTextMetadata(await generateSmallMultiplesImage(), buildSmallMultiplesMetadata(grid));
+  const filename = `${buildExportBaseName(grid)}.png`;
+
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = imageData;
+  link.click();
+
+  if (window.Analytics && supabase) {
+    window.Analytics.trackAnalytics(supabase, 'small_multiples_downloaded', {
+      year: grid.year,
+      pollutants: grid.panels.map(panel => panel.pollutantName).join(','),
+      group_count: grid.groupIds.length,
+      dataset_edition: grid.datasetEdition,
+      format: 'png',
+      filename: filename
+    });
+  }
+}
+
+/**
+ * Describe the exported chart for the PNG's text metadata
+ * @param {Object} chartData - Current chart data
+ * @returns {Object} Keyword -> text
+ */
+function buildExportMetadata(chartData) {
+  const yearLabel = chartData.startYear ? `${chartData.startYear}-${chartData.year}` : `${chartData.year}`;
+  const metadata = {
+    Title: `${chartData.pollutantName} vs ${chartData.xName || 'Activity Data'} (${yearLabel})`,
+    Source: chartData.datasetEdition ? `NAEI ${chartData.datasetEdition} dataset` : 'NAEI dataset',
+    URL: window.location.origin + window.location.pathname + '?' + window.ScatterApp.buildShareQuery(),
+    'Creation Time': new Date().toISOString()
+  };
+  if (chartData.compareEdition) {
+    metadata['Compared Edition'] = `NAEI ${chartData.compareEdition}`;
+  }
+  metadata['Data Quality'] = window.DataQuality.summariseDataQualityReport(chartData.dataQuality, {
+    pollutantName: chartData.pollutantName,
+    xName: chartData.xName
+  });
+  return metadata;
+}
+
+/**
+ * File name (without extension) describing the exported chart or small-multiples grid
+ * @param {Object} chartData - Current chart data, or the small-multiples grid
+ * @returns {string} Name with unsafe characters replaced by '_'
+ */
+function buildExportBaseName(chartData) {
+  let editionSuffix = chartData.datasetEdition ? `_${chartData.datasetEdition}` : '';
+  if (chartData.compareEdition) editionSuffix += `_vs_${chartData.compareEdition}`;
+  const yearLabel = chartData.startYear ? `${chartData.startYear}-${chartData.year}` : `${chartData.year}`;
+  const metricLabel = chartData.yMetric === 'intensity' ? '_intensity' : '';
+  const sizeLabel = chartData.sizeLabel ? `_sized_by_${chartData.sizeLabel.label}` : '';
+  const xLabel = chartData.xName || 'Activity';
+  const subject = chartData.panels ? 'Small_multiples' : chartData.pollutantName;
+  return `${subject}${metricLabel}_vs_${xLabel}${sizeLabel}_${yearLabel}${editionSuffix}`
+    .replace(/[^a-z0-9_\-.]/gi, '_');
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks and ZIP entries
+ * @param {Uint8Array} bytes - Bytes to check
+ * @returns {number} Unsigned CRC
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Add tEXt metadata chunks to a PNG, just before its IEND chunk
+ * tEXt is Latin-1, so other characters are replaced with '?'
+ * @param {string} dataURL - PNG data URL
+ * @param {Object} metadata - Keyword -> text
+ * @returns {string} PNG data URL with the metadata
+ */
+function addPngTextMetadata(dataURL, metadata) {
+  const bytes = Uint8Array.from(atob(dataURL.split(',')[1]), ch => ch.charCodeAt(0));
+  const iendStart = bytes.length - 12; // IEND is always the last 12 bytes
+
+  const chunks = Object.entries(metadata).map(([keyword, text]) => {
+    const body = `tEXt${keyword}\0${text}`.replace(/[^\x00-\xff]/g, '?');
+    const chunk = new Uint8Array(body.length + 8);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, body.length - 4);
+    for (let i = 0; i < body.length; i++) chunk[4 + i] = body.charCodeAt(i);
+    view.setUint32(4 + body.length, crc32(chunk.subarray(4, 4 + body.length)));
+    return chunk;
+  });
+
+  const extra = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const output = new Uint8Array(bytes.length + extra);
+  output.set(bytes.subarray(0, iendStart), 0);
+  let offset = iendStart;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  output.set(bytes.subarray(iendStart), offset);
+
+  let binary = '';
+  for (let i = 0; i < output.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, output.subarray(i, i + 0x8000));
+  }
+  return 'data:image/png;base64,' + btoa(binary);
+}
+
 /**
  * Download chart as PNG file
+ * @param {string|null} presetId - Size preset id (see PosterExport.POSTER_PRESETS); a preset
+ *   downloads the poster laid out for that size, null the chart at its on-screen size
  */
-async function downloadChartPNG() {
+async function downloadChartPNG(presetId = null) {
   try {
+    if (window.SmallMultiples.getSmallMultiplesData()) {
+      await downloadSmallMultiplesPNG();
+      return;
+    }
+    if (presetId) {
+      // A preset lays the image out as a poster, but the user asked for a PNG
+      await window.PosterExport.downloadPosterPNG(presetId, 'png');
+      return;
+    }
+
     const chartData = window.ChartRenderer.getCurrentChartData();
     if (!chartData) {
       alert('No chart available to download');
       return;
     }
 
-    const imageData = await generateChartImage();
+    const imageData = addPngTextMetadata(await generateChartImage(), buildExportMetadata(chartData));
     const link = document.createElement('a');
-    const filename = `${chartData.pollutantName.replace(/[^a-z0-9_\-]/gi, '_')}_vs_Activity_${chartData.year}.png`;
+    const filename = `${buildExportBaseName(chartData)}.png`;
     link.download = filename;
     link.href = imageData;
     link.click();
@@ -108,6 +471,9 @@ async function downloadChartPNG() {
         year: chartData.year,
         pollutant: chartData.pollutantName,
         group_count: chartData.groupIds.length,
+        dataset_edition: chartData.datasetEdition,
+        format: 'png',
+        preset: 'screen',
         filename: filename
       });
     }
@@ -134,19 +500,25 @@ function dataURLtoBlob(dataURL) {
 
 /**
  * Show share dialog
+ * @param {string|null} presetId - Size preset initially chosen for the copied image
  */
-function showShareDialog() {
-  const chartData = window.ChartRenderer.getCurrentChartData();
+function showShareDialog(presetId = null) {
+  const grid = window.SmallMultiples.getSmallMultiplesData();
+  const chartData = grid || window.ChartRenderer.getCurrentChartData();
   if (!chartData) {
     alert('No chart available to share');
     return;
   }
 
   // Build shareable URL with parameters (preserve literal commas)
-  const query = `year=${chartData.year}&pollutant_id=${chartData.pollutantId}&group_ids=${chartData.groupIds.join(',')}`;
+  const query = window.ScatterApp.buildShareQuery();
   const shareUrl = window.location.origin + window.location.pathname + '?' + query;
   
-  const title = `${chartData.pollutantName} vs Activity Data (${chartData.year})`;
+  const editionLabel = chartData.datasetEdition ? `, NAEI ${chartData.datasetEdition}` : '';
+  const yearLabel = chartData.startYear ? `${chartData.startYear}–${chartData.year}` : `${chartData.year}`;
+  const title = grid
+    ? `${grid.panels.map(panel => panel.pollutantName).join(', ')} vs ${grid.xName || 'Activity Data'} (${yearLabel}${editionLabel})`
+    : `${chartData.pollutantName} vs ${chartData.xName || 'Activity Data'} (${yearLabel}${editionLabel})`;
 
   // Create dialog
   const dialog = document.createElement('div');
@@ -175,9 +547,17 @@ function showShareDialog() {
       </div>
     </div>
     
+    <div style="margin: 16px 0;${grid ? ' display: none;' : ''}">
+      <label for="shareSizeSelect" style="display: block; margin-bottom: 8px; font-weight: 600;">Image size:</label>
+      <select id="shareSizeSelect" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 6px; font-size: 14px;">
+        <option value="">Screen size</option>
+        ${window.PosterExport.POSTER_PRESETS.map(preset => `<option value="${preset.id}">${preset.label} – ${preset.width}×${preset.height}</option>`).join('')}
+      </select>
+    </div>
+
     <div style="margin: 16px 0;">
       <button id="copyPngBtn" style="padding: 10px 16px; background: #FF9800; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; width: 100%;">
-        🖼️ Copy Chart Image as PNG to clipboard
+        🖼️ Copy Chart Image (with title and legend) as PNG to clipboard
       </button>
     </div>
     
@@ -190,6 +570,7 @@ function showShareDialog() {
   
   dialog.appendChild(content);
   document.body.appendChild(dialog);
+  content.querySelector('#shareSizeSelect').value = presetId || '';
 
   // Copy URL functionality
   content.querySelector('#copyUrlBtn').addEventListener('click', async () => {
@@ -227,7 +608,11 @@ function showShareDialog() {
       btn.disabled = true;
       btn.textContent = 'Generating image...';
       
-      const chartImageData = await generateChartImage();
+      // The poster carries the title, legend and statement, which the bare chart image lacks
+      const sharePreset = content.querySelector('#shareSizeSelect').value || null;
+      const chartImageData = grid
+        ? await generateSmallMultiplesImage()
+        : await window.PosterExport.generatePosterImage({ preset: sharePreset });
       const blob = dataURLtoBlob(chartImageData);
       
       if (navigator.clipboard && navigator.clipboard.write && typeof ClipboardItem !== 'undefined') {
@@ -241,7 +626,8 @@ function showShareDialog() {
           window.Analytics.trackAnalytics(supabase, 'share_png_copied', {
             year: chartData.year,
             pollutant: chartData.pollutantName,
-            group_count: chartData.groupIds.length
+            group_count: chartData.groupIds.length,
+            preset: sharePreset || 'screen'
           });
         }
         
@@ -271,9 +657,320 @@ function showShareDialog() {
   });
 }
 
+/**
+ * Flatten the chart's data points into export rows
+ * Trajectories give one row per group and year; small multiples one row per group and pollutant
+ * @param {Object} chartData - Current chart data, or the small-multiples grid
+ * @returns {Array<Object>} Rows whose keys are the column names
+ */
+function buildDataExportRows(chartData) {
+  const activityDataId = window.supabaseModule.activityDataId;
+  const activityUnit = window.supabaseModule.getPollutantUnit(activityDataId) || 'TJ';
+  const xIsActivity = chartData.xPollutantId === activityDataId;
+  const xUnit = xIsActivity ? activityUnit : window.supabaseModule.getPollutantUnit(chartData.xPollutantId);
+
+  let series;
+  if (chartData.panels) {
+    series = chartData.panels.map(panel => ({
+      pollutantId: panel.pollutantId,
+      points: panel.points.map(point => ({ ...point, year: chartData.year }))
+    }));
+  } else if (chartData.startYear) {
+    series = [{
+      pollutantId: chartData.pollutantId,
+      points: chartData.trajectories.flatMap(trajectory => trajectory.points.map(point => ({
+        ...point, groupId: trajectory.groupId, groupName: trajectory.groupName
+      })))
+    }];
+  } else {
+    series = [{
+      pollutantId: chartData.pollutantId,
+      points: chartData.dataPoints.map(point => ({ ...point, year: chartData.year }))
+    }];
+  }
+
+  const rows = [];
+  series.forEach(({ pollutantId, points }) => {
+    const pollutantName = window.supabaseModule.getPollutantName(pollutantId);
+    const pollutantUnit = window.supabaseModule.getPollutantUnit(pollutantId);
+    points.forEach(point => {
+      const row = {
+        group_id: point.groupId,
+        group_name: point.groupName,
+        year: point.year,
+        x_variable: chartData.xName || 'Activity Data',
+        x_value: point.xValue,
+        x_unit: xUnit,
+        pollutant: pollutantName,
+        pollutant_value: point.pollutantValue,
+        pollutant_unit: pollutantUnit,
+        activity_data: point.activityData,
+        activity_unit: activityUnit,
+        emission_intensity: point.emissionIntensity,
+        emission_intensity_unit: window.supabaseModule.getEmissionIntensityUnit(pollutantId)
+      };
+      // With a pollutant on the x-axis the plotted ratio is pollutant per x
+      if (!xIsActivity) {
+        row.pollutant_per_x = point.xValue ? point.pollutantValue / point.xValue : null;
+        row.pollutant_per_x_unit = pollutantUnit && xUnit ? `${pollutantUnit}/${xUnit}` : '';
+      }
+      rows.push(row);
+    });
+  });
+  return rows;
+}
+
+/**
+ * Metadata written at the top of every data export
+ * @param {Object} chartData - Current chart data, or the small-multiples grid
+ * @returns {Object} Keyword -> text
+ */
+function buildDataExportMetadata(chartData) {
+  const metadata = chartData.panels ? buildSmallMultiplesMetadata(chartData) : buildExportMetadata(chartData);
+  const dataSource = window.supabaseModule.dataSource;
+  metadata['Dataset Table'] = window.supabaseModule.getDatasetTable(chartData.datasetEdition)
+    || `Local dataset ${dataSource.dataset || ''}`.trim();
+  metadata['Retrieved'] = window.supabaseModule.dataRetrievedAt || 'Unknown';
+  return metadata;
+}
+
+/**
+ * Write export rows as CSV, with the metadata as leading "# Keyword: text" lines
+ * @param {Array<Object>} rows - Rows from buildDataExportRows
+ * @param {Object} metadata - Keyword -> text
+ * @returns {string} CSV text
+ */
+function dataRowsToCsv(rows, metadata) {
+  const quote = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const header = Object.entries(metadata).map(([keyword, text]) => `# ${keyword}: ${String(text).replace(/[\r\n]+/g, ' ')}`);
+  const lines = rows.map(row => columns.map(column => quote(row[column])).join(','));
+  return [...header, columns.map(quote).join(','), ...lines].join('\n');
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - Value to write
+ * @returns {string} Escaped text, without characters XML does not allow
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[^\x09\x0a\x0d\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function xlsxColumnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+/**
+ * Build a single-sheet XLSX workbook: metadata rows, a blank row, then the data table
+ * Strings are written inline so the workbook needs no shared-strings part
+ * @param {Array<Object>} rows - Rows from buildDataExportRows
+ * @param {Object} metadata - Keyword -> text
+ * @returns {Blob} XLSX file
+ */
+function dataRowsToXlsx(rows, metadata) {
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const table = [
+    ...Object.entries(metadata).map(([keyword, text]) => [keyword, text]),
+    [],
+    columns,
+    ...rows.map(row => columns.map(column => row[column]))
+  ];
+
+  const sheetRows = table.map((cells, rowIndex) => {
+    const ref = index => `${xlsxColumnName(index)}${rowIndex + 1}`;
+    const xmlCells = cells.map((value, index) => {
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number') {
+        return isFinite(value) ? `<c r="${ref(index)}"><v>${value}</v></c>` : '';
+      }
+      return `<c r="${ref(index)}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowIndex + 1}">${xmlCells}</row>`;
+  }).join('');
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: xmlHeader + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: xmlHeader + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: xmlHeader + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Data" sheetId="1" r:id="rId1"/></sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: xmlHeader + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: xmlHeader + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${sheetRows}</sheetData></worksheet>`
+    }
+  ];
+  return buildZipBlob(files, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
+
+/**
+ * Bundle files into an uncompressed ZIP archive
+ * @param {Array<Object>} files - [{name, data}] with data a string (written as UTF-8) or Uint8Array
+ * @param {string} mimeType - Blob type
+ * @returns {Blob} ZIP file
+ */
+function buildZipBlob(files, mimeType = 'application/zip') {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const entries = [];
+  const directory = [];
+  let offset = 0;
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint16(4, 20, true); // Version needed to extract
+    localView.setUint16(6, 0x0800, true); // File names are UTF-8
+    localView.setUint16(10, dosTime, true);
+    localView.setUint16(12, dosDate, true);
+    localView.setUint32(14, crc, true);
+    localView.setUint32(18, data.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(4, 20, true);
+    centralView.setUint16(6, 20, true);
+    centralView.setUint16(8, 0x0800, true);
+    centralView.setUint16(12, dosTime, true);
+    centralView.setUint16(14, dosDate, true);
+    centralView.setUint32(16, crc, true);
+    centralView.setUint32(20, data.length, true);
+    centralView.setUint32(24, data.length, true);
+    centralView.setUint16(28, name.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    entries.push(local, data);
+    directory.push(central);
+    offset += local.length + data.length;
+  });
+
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, directorySize, true);
+  endView.setUint32(16, offset, true);
+
+  return new Blob([...entries, ...directory, end], { type: mimeType });
+}
+
+/**
+ * Download the data behind the current chart (or small-multiples grid)
+ * @param {string} format - 'csv', 'json' or 'xlsx'
+ */
+function downloadChartData(format) {
+  try {
+    const grid = window.SmallMultiples.getSmallMultiplesData();
+    const chartData = grid || window.ChartRenderer.getCurrentChartData();
+    if (!chartData) {
+      alert('No chart data available to download');
+      return;
+    }
+
+    const rows = buildDataExportRows(chartData);
+    const metadata = buildDataExportMetadata(chartData);
+    let blob;
+    if (format === 'json') {
+      blob = new Blob([JSON.stringify({ metadata, rows }, null, 2)], { type: 'application/json' });
+    } else if (format === 'xlsx') {
+      blob = dataRowsToXlsx(rows, metadata);
+    } else {
+      format = 'csv';
+      blob = new Blob([dataRowsToCsv(rows, metadata)], { type: 'text/csv;charset=utf-8' });
+    }
+
+    const filename = `${buildExportBaseName(chartData)}_data.${format}`;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    if (window.Analytics && supabase) {
+      window.Analytics.trackAnalytics(supabase, 'scatter_data_downloaded', {
+        year: chartData.year,
+        pollutant: grid ? grid.panels.map(panel => panel.pollutantName).join(',') : chartData.pollutantName,
+        group_count: chartData.groupIds.length,
+        dataset_edition: chartData.datasetEdition,
+        format: format,
+        row_count: rows.length,
+        filename: filename
+      });
+    }
+  } catch (error) {
+    console.error('Failed to download chart data:', error);
+    alert('Failed to download chart data: ' + error.message);
+  }
+}
+
 // Export functions
 window.ExportShare = {
   downloadChartPNG,
+  downloadChartData,
   showShareDialog,
-  generateChartImage
+  generateChartImage,
+  generateSmallMultiplesImage,
+  loadExportImage,
+  addPngTextMetadata,
+  buildExportBaseName,
+  buildExportMetadata,
+  buildSmallMultiplesMetadata,
+  dataRowsToCsv,
+  buildZipBlob
 };
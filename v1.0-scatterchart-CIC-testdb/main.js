@@ -23,6 +23,20 @@ let selectedYear = null;
 let selectedPollutantId = null;
 let chartRenderCallback = null; // Callback for when chart finishes rendering
 let selectedGroupIds = [];
+let compareEdition = null; // Second dataset edition for revision comparison
+let viewMode = 'single'; // 'single' year, 'trajectory' over a year range, or 'multiples' (one panel per pollutant)
+let trajectoryStartYear = null; // First year of the trajectory; selectedYear is the last
+let axisScales = { x: 'linear', y: 'linear' }; // 'linear' or 'log' per axis
+let zoomWindow = null; // Zoomed region {x: {min, max}, y: {min, max}} in data units, or null for the full range
+let yMetric = 'emissions'; // y-axis: 'emissions' or 'intensity' (pollutant per unit activity)
+let pointLabels = false; // Write group names next to their points
+let trendModel = null; // Trend line overlay: null, 'linear' or 'loglog'
+let multiplesPollutantIds = []; // Small-multiples panels, in order
+let xPollutantId = null; // x-axis pollutant; null means Activity Data
+let bubbleSize = null; // Bubble mode point size: null (plain scatter), {metric: 'intensity'} or {metric: 'pollutant', pollutantId}
+let comparisonBaselineGroupId = null; // Baseline group for the comparison statement (null = first group)
+let statementTemplateId = 'auto'; // Statement preset id, or 'custom'
+let customStatementTemplate = ''; // User-authored template when statementTemplateId is 'custom'
 const MAX_GROUPS = 10;
 
 /**
@@ -53,8 +67,8 @@ async function init() {
       throw new Error('supabaseModule not available after waiting');
     }
 
-    // Load data using supabaseModule
-    await window.supabaseModule.loadData();
+    // Load data using supabaseModule, reporting timeseries paging progress
+    await window.supabaseModule.loadData({ onProgress: updateLoadingProgress });
 
     // Create window data stores EXACTLY like linechart v2.3
     window.allPollutants = window.supabaseModule.allPollutants;
@@ -74,10 +88,27 @@ async function init() {
     console.log('Created allGroupsList with', groupNames.length, 'groups:', groupNames.slice(0, 5));
 
     // Setup UI
+    setupDatasetSelector();
+    await setupCompareSelector();
     setupYearSelector();
     setupPollutantSelector();
     setupGroupSelector();
     setupEventListeners();
+    window.Playback.setupPlayback({ onYear: showPlaybackYear, onStop: updateChartDetails });
+    window.ChartZoom.setupChartZoom({
+      getChart: window.ChartRenderer.getChartInstance,
+      isEnabled: () => viewMode !== 'multiples',
+      onZoom: changeZoom
+    });
+    window.BatchExport.setupBatchExport({
+      getYears: window.supabaseModule.getAvailableYears,
+      getPollutants: getBatchPollutants,
+      getSelection: () => ({ year: selectedYear, pollutantId: selectedPollutantId, zoomWindow: zoomWindow }),
+      showSelection: showBatchSelection
+    });
+    window.EfTrends.setupEfTrendPanel({
+      getSelection: () => ({ pollutantId: selectedPollutantId, groupIds: getSelectedGroupIds() })
+    });
 
     // Render initial view based on URL parameters or defaults
     await renderInitialView();
@@ -99,6 +130,23 @@ async function init() {
   }
 }
 
+/**
+ * Show data loading progress in the loading overlay
+ * @param {Object} progress - {table, loaded, total} from the paged loader
+ */
+function updateLoadingProgress(progress) {
+  const loadingText = document.querySelector('#loadingOverlay .loading-text');
+  if (!loadingText || !progress) return;
+
+  const loaded = progress.loaded.toLocaleString();
+  if (progress.total) {
+    const percent = Math.min(100, Math.round((progress.loaded / progress.total) * 100));
+    loadingText.textContent = `Loading data... ${loaded} of ${progress.total.toLocaleString()} rows (${percent}%)`;
+  } else {
+    loadingText.textContent = `Loading data... ${loaded} rows`;
+  }
+}
+
 /**
  * Remove loading state
  */
@@ -280,6 +328,41 @@ async function renderInitialView() {
       // Always set selectedYear from the dropdown value
       selectedYear = yearSelect.value ? parseInt(yearSelect.value) : null;
       console.log('Initial selectedYear:', selectedYear);
+
+      // Log axes from the URL
+      setAxisScale('x', params.xScale);
+      setAxisScale('y', params.yScale);
+      yMetric = params.yMetric === 'intensity' ? 'intensity' : 'emissions';
+      document.getElementById('yMetricSelect').value = yMetric;
+      comparisonBaselineGroupId = params.baselineGroupId;
+      setTrendModel(params.trend);
+      setXPollutant(params.xPollutantId);
+      setBubbleSize(params.bubbleSize);
+      setZoomWindow(params.zoom);
+      pointLabels = params.labels;
+      document.getElementById('pointLabelsToggle').checked = pointLabels;
+      if (params.statementTemplate) {
+        statementTemplateId = 'custom';
+        customStatementTemplate = window.StatementTemplates.sanitiseStatementTemplate(params.statementTemplate);
+      } else if (params.statementPreset && window.StatementTemplates.getStatementPreset(params.statementPreset)) {
+        statementTemplateId = params.statementPreset;
+      }
+
+      // A start year in the URL opens the trajectory view, a panel list the small multiples
+      const startYearSelect = document.getElementById('startYearSelect');
+      if (params.multiples) {
+        setMultiplesPollutants(params.multiples);
+        setViewMode('multiples');
+      } else if (params.startYear && startYearSelect.querySelector(`option[value="${params.startYear}"]`)) {
+        trajectoryStartYear = parseInt(params.startYear);
+        startYearSelect.value = String(trajectoryStartYear);
+        setViewMode('trajectory');
+      } else {
+        setViewMode('single');
+        if (params.playback) {
+          window.Playback.activatePlayback();
+        }
+      }
       
       // Refresh group dropdowns and buttons after adding default groups
       refreshGroupDropdowns();
@@ -298,6 +381,29 @@ function parseUrlParameters() {
   const pollutantId = params.get('pollutant_id');
   const groupIds = params.get('group_ids')?.split(',').map(Number).filter(Boolean);
   const year = params.get('year');
+  const startYear = params.get('start_year');
+  const playback = params.get('playback') === '1';
+  const xScale = params.get('x_scale');
+  const yScale = params.get('y_scale');
+  const yMetricParam = params.get('y_metric');
+  const baselineGroupId = parseInt(params.get('baseline')) || null;
+  const trend = params.get('trend');
+  const statementPreset = params.get('statement');
+  const statementTemplate = params.get('statement_template');
+  const xPollutantIdParam = parseInt(params.get('x_pollutant_id')) || null;
+  const zoom = window.ChartZoom.parseZoomParam(params.get('zoom'));
+  const labels = params.get('labels') === '1';
+  const multiplesParam = params.get('multiples');
+  const multiples = multiplesParam
+    ? multiplesParam.split(',').map(id => parseInt(id)).filter(id => !isNaN(id))
+    : null;
+  const bubblePollutantId = parseInt(params.get('bubble_pollutant_id'));
+  let bubbleSizeParam = null;
+  if (params.get('bubble') === 'intensity') {
+    bubbleSizeParam = { metric: 'intensity' };
+  } else if (bubblePollutantId) {
+    bubbleSizeParam = { metric: 'pollutant', pollutantId: bubblePollutantId };
+  }
 
   const pollutants = window.supabaseModule.allPollutants || [];
   const groups = window.supabaseModule.allGroups || [];
@@ -321,7 +427,21 @@ function parseUrlParameters() {
   return {
     pollutantName,
     groupNames,
-    year
+    year,
+    startYear,
+    playback,
+    xScale,
+    yScale,
+    yMetric: yMetricParam,
+    baselineGroupId,
+    trend,
+    xPollutantId: xPollutantIdParam,
+    zoom,
+    labels,
+    multiples,
+    bubbleSize: bubbleSizeParam,
+    statementPreset,
+    statementTemplate
   };
 }
 
@@ -345,6 +465,378 @@ function setupYearSelector() {
     selectedYear = years[0];
     select.value = selectedYear;
   }
+
+  // Trajectory start year, defaulting to the earliest year
+  const startSelect = document.getElementById('startYearSelect');
+  const previousStart = trajectoryStartYear;
+  startSelect.innerHTML = '<option value="">Select year</option>';
+  years.forEach(year => {
+    startSelect.appendChild(new Option(year, year));
+  });
+  trajectoryStartYear = previousStart && years.includes(previousStart)
+    ? previousStart
+    : (years.length > 0 ? years[years.length - 1] : null);
+  startSelect.value = trajectoryStartYear ? String(trajectoryStartYear) : '';
+
+  window.Playback.setPlaybackYears(years);
+  window.EfTrends.setEfTrendYears(years);
+}
+
+/**
+ * Switch between single-year, trajectory and small-multiples views and update the controls
+ * @param {string} mode - 'single', 'trajectory' or 'multiples'
+ */
+function setViewMode(mode) {
+  viewMode = ['trajectory', 'multiples'].includes(mode) ? mode : 'single';
+  document.getElementById('viewModeSelect').value = viewMode;
+
+  const startPair = document.querySelector('.start-year-pair');
+  if (startPair) {
+    startPair.style.display = viewMode === 'trajectory' ? '' : 'none';
+  }
+  const yearLabel = document.getElementById('yearSelectLabel');
+  if (yearLabel) {
+    yearLabel.textContent = viewMode === 'trajectory' ? 'To:' : 'Year:';
+  }
+
+  const multiplesPair = document.querySelector('.multiples-pair');
+  if (multiplesPair) {
+    multiplesPair.style.display = viewMode === 'multiples' ? '' : 'none';
+  }
+
+  // Revision comparison, bubbles and year playback are single-year views
+  populateCompareSelector();
+  document.getElementById('bubbleSizeSelect').disabled = viewMode !== 'single';
+  window.Playback.setPlaybackEnabled(viewMode === 'single');
+  setZoomWindow(zoomWindow); // Zoom applies to the main chart only
+}
+
+/**
+ * Set the zoomed region and update the reset button
+ * @param {Object|null} zoom - {x: {min, max}, y: {min, max}}, or null for the full range
+ */
+function setZoomWindow(zoom) {
+  zoomWindow = window.ChartZoom.isValidZoomWindow(zoom) ? zoom : null;
+  document.getElementById('resetZoomBtn').disabled = zoomWindow === null || viewMode === 'multiples';
+}
+
+/**
+ * Zoom or pan from a chart drag, or reset the zoom, and redraw
+ * @param {Object|null} zoom - New zoom window, or null to reset
+ */
+function changeZoom(zoom) {
+  const wasZoomed = zoomWindow !== null;
+  setZoomWindow(zoom);
+  if (!zoomWindow && !wasZoomed) return;
+  updateChart();
+
+  window.supabaseModule.trackAnalytics(zoomWindow ? 'chart_zoomed' : 'chart_zoom_reset', {
+    year: selectedYear,
+    pollutant: window.supabaseModule.getPollutantName(selectedPollutantId),
+    zoom: zoomWindow ? window.ChartZoom.formatZoomParam(zoomWindow) : null
+  });
+}
+
+/**
+ * Choose the small-multiples panels and update the checkboxes
+ * @param {Array<number>} pollutantIds - Panel pollutants; unknown IDs are dropped and an
+ *   empty list falls back to the default set
+ */
+function setMultiplesPollutants(pollutantIds) {
+  const valid = [...new Set(pollutantIds)].filter(id =>
+    id !== window.supabaseModule.activityDataId && window.supabaseModule.pollutantById.has(id));
+  multiplesPollutantIds = (valid.length > 0 ? valid : window.SmallMultiples.getDefaultMultiplesPollutants())
+    .slice(0, window.SmallMultiples.SMALL_MULTIPLES_MAX_PANELS);
+  syncMultiplesCheckboxes();
+}
+
+/**
+ * Tick the panel checkboxes, disabling unticked ones once the grid is full
+ */
+function syncMultiplesCheckboxes() {
+  const full = multiplesPollutantIds.length >= window.SmallMultiples.SMALL_MULTIPLES_MAX_PANELS;
+  document.querySelectorAll('#multiplesPollutantList input[type="checkbox"]').forEach(box => {
+    box.checked = multiplesPollutantIds.includes(parseInt(box.value));
+    box.disabled = full && !box.checked;
+  });
+  const summary = document.getElementById('multiplesSummary');
+  if (summary) {
+    summary.textContent = `Panels (${multiplesPollutantIds.length})`;
+  }
+}
+
+/**
+ * Open a small-multiples panel's pollutant in the main single-year chart
+ * @param {number} pollutantId - Panel pollutant
+ */
+function expandMultiplesPanel(pollutantId) {
+  selectedPollutantId = pollutantId;
+  document.getElementById('pollutantSelect').value = String(pollutantId);
+  setViewMode('single');
+  setZoomWindow(null);
+  updateChart();
+
+  window.supabaseModule.trackAnalytics('small_multiples_panel_expanded', {
+    year: selectedYear,
+    pollutant: window.supabaseModule.getPollutantName(pollutantId)
+  });
+}
+
+/**
+ * Choose the pollutant on the x-axis and update the selector
+ * @param {number|null} pollutantId - Pollutant ID, or null (or an unknown ID) for Activity Data
+ */
+function setXPollutant(pollutantId) {
+  xPollutantId = pollutantId && pollutantId !== window.supabaseModule.activityDataId &&
+    window.supabaseModule.pollutantById.has(pollutantId) ? pollutantId : null;
+  document.getElementById('xPollutantSelect').value = xPollutantId ? String(xPollutantId) : '';
+}
+
+/**
+ * Choose what sizes the points, switching bubble mode on or off, and update the selector
+ * @param {Object|null} size - {metric: 'intensity'}, {metric: 'pollutant', pollutantId}, or null for plain points
+ */
+function setBubbleSize(size) {
+  const isPollutant = size && size.metric === 'pollutant' &&
+    window.supabaseModule.pollutantById.has(size.pollutantId) &&
+    size.pollutantId !== window.supabaseModule.activityDataId;
+  bubbleSize = size && size.metric === 'intensity'
+    ? { metric: 'intensity' }
+    : (isPollutant ? { metric: 'pollutant', pollutantId: size.pollutantId } : null);
+
+  const select = document.getElementById('bubbleSizeSelect');
+  select.value = !bubbleSize ? '' : (bubbleSize.metric === 'intensity' ? 'intensity' : `pollutant:${bubbleSize.pollutantId}`);
+
+  // Bubbles have no hollow comparison points, so revision comparison is off while they are shown
+  populateCompareSelector();
+}
+
+/**
+ * Set one axis to a linear or log scale and update its toggle
+ * @param {string} axis - 'x' or 'y'
+ * @param {string} scale - 'log' or anything else for linear
+ */
+function setAxisScale(axis, scale) {
+  axisScales[axis] = scale === 'log' ? 'log' : 'linear';
+  document.getElementById(axis === 'x' ? 'logXToggle' : 'logYToggle').checked = axisScales[axis] === 'log';
+}
+
+/**
+ * Turn the trend line on with a model, or off, and update the Analysis controls
+ * @param {string|null} model - 'linear', 'loglog', or anything else for off
+ */
+function setTrendModel(model) {
+  trendModel = model === 'linear' || model === 'loglog' ? model : null;
+  document.getElementById('trendLineToggle').checked = trendModel !== null;
+  const modelSelect = document.getElementById('trendModelSelect');
+  if (trendModel) modelSelect.value = trendModel;
+  modelSelect.disabled = trendModel === null;
+}
+
+/**
+ * Show a year chosen on the playback timeline
+ * @param {number} year - Year to draw
+ */
+function showPlaybackYear(year) {
+  selectedYear = year;
+  document.getElementById('yearSelect').value = String(year);
+  drawChart();
+}
+
+/**
+ * Show one chart of a batch export (or restore the chart the batch started from)
+ * @param {Object} selection - {year, pollutantId, zoomWindow}
+ * @returns {Promise<boolean>} Resolves once the chart is drawn; false if there was nothing to draw
+ */
+function showBatchSelection(selection) {
+  selectedYear = selection.year;
+  selectedPollutantId = selection.pollutantId;
+  document.getElementById('yearSelect').value = String(selection.year);
+  document.getElementById('pollutantSelect').value = String(selection.pollutantId);
+  setZoomWindow(selection.zoomWindow);
+
+  return new Promise(resolve => {
+    const previous = window.ChartRenderer.getCurrentChartData();
+    const timer = setTimeout(() => {
+      window.chartRenderCallback = null;
+      resolve(true);
+    }, window.BatchExport.BATCH_EXPORT_DRAW_TIMEOUT_MS);
+    window.chartRenderCallback = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    drawChart();
+
+    // No new chart data means drawChart stopped early (no data, or no plottable points)
+    if (window.ChartRenderer.getCurrentChartData() === previous) {
+      clearTimeout(timer);
+      window.chartRenderCallback = null;
+      resolve(false);
+    }
+  });
+}
+
+/**
+ * Pollutants that can go on the y-axis against the current x-axis
+ * @returns {Array<Object>} [{id, name}] sorted by name
+ */
+function getBatchPollutants() {
+  return window.supabaseModule.allPollutants
+    .filter(p => p.id !== window.supabaseModule.activityDataId && p.id !== xPollutantId)
+    .sort((a, b) => a.pollutant.localeCompare(b.pollutant))
+    .map(p => ({ id: p.id, name: p.pollutant }));
+}
+
+/**
+ * Setup dataset edition selector (hidden for local fixture datasets)
+ */
+function setupDatasetSelector() {
+  const select = document.getElementById('datasetSelect');
+  const wrapper = select.closest('.dataset-pair');
+  const dataSource = window.supabaseModule.dataSource;
+
+  if (dataSource && dataSource.type === 'local') {
+    if (wrapper) wrapper.style.display = 'none';
+    return;
+  }
+
+  const editions = window.supabaseModule.availableEditions || [];
+  select.innerHTML = '';
+  editions.forEach(edition => {
+    select.appendChild(new Option(edition, edition));
+  });
+
+  select.value = window.supabaseModule.datasetEdition || '';
+  select.disabled = editions.length < 2;
+}
+
+/**
+ * Fill the revision comparison selector with every edition except the loaded one
+ */
+function populateCompareSelector() {
+  const select = document.getElementById('compareEditionSelect');
+  const currentEdition = window.supabaseModule.datasetEdition;
+  const editions = (window.supabaseModule.availableEditions || []).filter(e => e !== currentEdition);
+
+  select.innerHTML = '<option value="">None</option>';
+  editions.forEach(edition => {
+    select.appendChild(new Option(edition, edition));
+  });
+  select.value = compareEdition || '';
+  select.disabled = editions.length === 0 || viewMode !== 'single' || bubbleSize !== null;
+}
+
+/**
+ * Setup revision comparison selector, loading the edition named in the URL (compare=)
+ */
+async function setupCompareSelector() {
+  const dataSource = window.supabaseModule.dataSource;
+  if (dataSource && dataSource.type === 'local') {
+    compareEdition = null;
+    return;
+  }
+
+  const requested = new URLSearchParams(window.location.search).get('compare');
+  const currentEdition = window.supabaseModule.datasetEdition;
+  if (requested && requested !== currentEdition && (window.supabaseModule.availableEditions || []).includes(requested)) {
+    try {
+      await window.supabaseModule.loadComparisonEdition(requested);
+      compareEdition = requested;
+    } catch (error) {
+      console.error(`Failed to load comparison edition ${requested}:`, error);
+      showNotification(`Failed to load the ${requested} dataset for comparison.`, 'error');
+    }
+  }
+
+  populateCompareSelector();
+}
+
+/**
+ * Turn revision comparison on (with the given edition) or off (null) and redraw
+ * @param {string|null} edition - Dataset edition to compare against
+ */
+async function changeCompareEdition(edition) {
+  const select = document.getElementById('compareEditionSelect');
+
+  if (!edition) {
+    compareEdition = null;
+    drawChart();
+    return;
+  }
+
+  select.disabled = true;
+  window.ChartRenderer.showMessage(`Loading NAEI ${edition} dataset for comparison...`, 'info');
+
+  try {
+    await window.supabaseModule.loadComparisonEdition(edition);
+    compareEdition = edition;
+    drawChart();
+
+    window.supabaseModule.trackAnalytics('revision_comparison_enabled', {
+      edition: window.supabaseModule.datasetEdition,
+      compare_edition: edition
+    });
+  } catch (error) {
+    console.error(`Failed to load comparison edition ${edition}:`, error);
+    showNotification(`Failed to load the ${edition} dataset for comparison.`, 'error');
+    select.value = compareEdition || '';
+    window.ChartRenderer.clearMessage();
+  } finally {
+    populateCompareSelector();
+  }
+}
+
+/**
+ * Rebuild selectors after the underlying dataset changed, keeping the year if possible
+ */
+function refreshSelectorsForNewData() {
+  window.allPollutants = window.supabaseModule.allPollutants;
+  window.allGroups = window.supabaseModule.allGroups;
+
+  const previousYear = selectedYear;
+  setupYearSelector();
+  const yearSelect = document.getElementById('yearSelect');
+  if (previousYear && yearSelect.querySelector(`option[value="${previousYear}"]`)) {
+    selectedYear = previousYear;
+    yearSelect.value = String(previousYear);
+  }
+
+  refreshGroupDropdowns();
+}
+
+/**
+ * Switch to another NAEI dataset edition and redraw
+ * @param {string} edition - Dataset edition, e.g. '2024ds'
+ */
+async function changeDatasetEdition(edition) {
+  const select = document.getElementById('datasetSelect');
+  const previousEdition = window.supabaseModule.datasetEdition;
+  if (edition === previousEdition) return;
+
+  select.disabled = true;
+  window.ChartRenderer.showMessage(`Loading NAEI ${edition} dataset...`, 'info');
+
+  try {
+    await window.supabaseModule.loadData({ edition });
+    if (compareEdition === edition) {
+      compareEdition = null;
+    }
+    populateCompareSelector();
+    refreshSelectorsForNewData();
+    drawChart();
+
+    window.supabaseModule.trackAnalytics('dataset_edition_changed', {
+      from: previousEdition,
+      to: edition
+    });
+  } catch (error) {
+    console.error(`Failed to load dataset edition ${edition}:`, error);
+    showNotification(`Failed to load the ${edition} dataset.`, 'error');
+    select.value = previousEdition || '';
+    window.ChartRenderer.clearMessage();
+  } finally {
+    select.disabled = (window.supabaseModule.availableEditions || []).length < 2;
+  }
 }
 
 /**
@@ -364,6 +856,44 @@ function setupPollutantSelector() {
     option.textContent = p.pollutant;
     select.appendChild(option);
   });
+
+  // x-axis: Activity Data or any pollutant
+  const xSelect = document.getElementById('xPollutantSelect');
+  xSelect.innerHTML = '';
+  xSelect.appendChild(new Option('Activity Data', ''));
+  pollutants.forEach(p => {
+    xSelect.appendChild(new Option(p.pollutant, p.id));
+  });
+  xSelect.value = xPollutantId ? String(xPollutantId) : '';
+
+  // Small-multiples panels: one checkbox per pollutant
+  const multiplesList = document.getElementById('multiplesPollutantList');
+  multiplesList.innerHTML = '';
+  pollutants.forEach(p => {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = p.id;
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(` ${p.pollutant}`));
+    multiplesList.appendChild(label);
+  });
+  if (multiplesPollutantIds.length === 0) {
+    multiplesPollutantIds = window.SmallMultiples.getDefaultMultiplesPollutants();
+  }
+  syncMultiplesCheckboxes();
+
+  // Bubble size: off, emission intensity, or a second pollutant
+  const sizeSelect = document.getElementById('bubbleSizeSelect');
+  sizeSelect.innerHTML = '';
+  sizeSelect.appendChild(new Option('Fixed (scatter)', ''));
+  sizeSelect.appendChild(new Option('Emission intensity', 'intensity'));
+  const sizeGroup = document.createElement('optgroup');
+  sizeGroup.label = 'Second pollutant';
+  pollutants.forEach(p => {
+    sizeGroup.appendChild(new Option(p.pollutant, `pollutant:${p.id}`));
+  });
+  sizeSelect.appendChild(sizeGroup);
 }
 
 // Get selected groups from dropdown selectors (like linechart)
@@ -512,14 +1042,16 @@ function refreshButtons() {
         // Append remove button as a sibling to the control wrapper
         row.appendChild(removeBtn);
 
-        // Remove all existing checkboxes for group comparison
+        // Rebuild the "Include in comparison statement" checkbox after the button,
+        // keeping the user's choice (new rows start ticked)
         const existingCheckboxes = row.querySelectorAll('.group-checkbox');
+        const included = existingCheckboxes.length === 0 || existingCheckboxes[0].checked;
         existingCheckboxes.forEach(checkbox => checkbox.parentElement.remove());
 
-        // Add a single checkbox labeled "Include in comparison statement"
         const comparisonCheckbox = document.createElement('label');
         comparisonCheckbox.style.marginLeft = '10px';
-        comparisonCheckbox.innerHTML = '<input type="checkbox" class="group-checkbox" checked> Include in comparison statement';
+        comparisonCheckbox.innerHTML = '<input type="checkbox" class="group-checkbox"> Include in comparison statement';
+        comparisonCheckbox.querySelector('input').checked = included;
         row.appendChild(comparisonCheckbox);
       }
     });
@@ -545,37 +1077,6 @@ function refreshButtons() {
   }
 }
 
-// Ensure checkboxes are only checked for two groups at once
-function refreshCheckboxes() {
-  const checkboxes = document.querySelectorAll('.group-checkbox');
-  const checkedBoxes = Array.from(checkboxes).filter(checkbox => checkbox.checked);
-
-  if (checkedBoxes.length > 2) {
-    checkedBoxes.forEach((checkbox, index) => {
-      if (index >= 2) {
-        checkbox.checked = false;
-      }
-    });
-  }
-}
-
-// Update checkbox behavior when adding a new group
-function addGroup() {
-  const container = document.getElementById('groupContainer');
-  const newGroupRow = document.createElement('div');
-  newGroupRow.className = 'groupRow';
-
-  const checkbox = document.createElement('input');
-  checkbox.type = 'checkbox';
-  checkbox.className = 'group-checkbox';
-  checkbox.checked = false; // Default unchecked for new groups
-
-  newGroupRow.appendChild(checkbox);
-  container.appendChild(newGroupRow);
-
-  refreshCheckboxes();
-}
-
 /**
  * Setup group selector with dropdown approach like linechart
  */
@@ -613,23 +1114,155 @@ function setupEventListeners() {
   // Year change
   document.getElementById('yearSelect').addEventListener('change', (e) => {
     selectedYear = e.target.value ? parseInt(e.target.value) : null;
+    // Picking a year directly leaves playback and its fixed axes
+    window.Playback.resetPlayback();
     updateChart();
   });
 
   // Pollutant change
   document.getElementById('pollutantSelect').addEventListener('change', (e) => {
     selectedPollutantId = e.target.value ? parseInt(e.target.value) : null;
+    setZoomWindow(null); // A zoom window only makes sense for the axes it was drawn on
     updateChart();
   });
 
+  // Image size presets for the PNG download, poster and share dialog
+  const exportSizeSelect = document.getElementById('exportSizeSelect');
+  window.PosterExport.POSTER_PRESETS.forEach(preset => {
+    exportSizeSelect.appendChild(new Option(preset.label, preset.id));
+  });
+
   // Share button
   document.getElementById('shareBtn').addEventListener('click', () => {
-    window.ExportShare.showShareDialog();
+    window.ExportShare.showShareDialog(exportSizeSelect.value || null);
   });
 
   // Download button
   document.getElementById('downloadBtn').addEventListener('click', () => {
-    window.ExportShare.downloadChartPNG();
+    window.ExportShare.downloadChartPNG(exportSizeSelect.value || null);
+  });
+
+  // Export menu: chart as poster / SVG / PDF, data as CSV / JSON / XLSX, or a batch ZIP
+  document.getElementById('exportMenu').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-format]');
+    if (!btn) return;
+    e.currentTarget.open = false;
+    const format = btn.dataset.format;
+    if (format === 'poster') {
+      window.PosterExport.downloadPosterPNG(exportSizeSelect.value || null);
+    } else if (format === 'batch') {
+      window.BatchExport.showBatchExportDialog();
+    } else if (format === 'svg' || format === 'pdf') {
+      window.VectorExport.downloadChartVector(format);
+    } else {
+      window.ExportShare.downloadChartData(format);
+    }
+  });
+
+  // Dataset edition change
+  document.getElementById('datasetSelect').addEventListener('change', (e) => {
+    if (e.target.value) {
+      changeDatasetEdition(e.target.value);
+    }
+  });
+
+  // View mode change (single year / trajectory)
+  document.getElementById('viewModeSelect').addEventListener('change', (e) => {
+    setViewMode(e.target.value);
+    setZoomWindow(null);
+    updateChart();
+  });
+
+  // Trajectory start year change
+  document.getElementById('startYearSelect').addEventListener('change', (e) => {
+    trajectoryStartYear = e.target.value ? parseInt(e.target.value) : null;
+    updateChart();
+  });
+
+  // Linear/log axis toggles
+  document.getElementById('logXToggle').addEventListener('change', (e) => {
+    setAxisScale('x', e.target.checked ? 'log' : 'linear');
+    setZoomWindow(null);
+    updateChart();
+  });
+  document.getElementById('logYToggle').addEventListener('change', (e) => {
+    setAxisScale('y', e.target.checked ? 'log' : 'linear');
+    setZoomWindow(null);
+    updateChart();
+  });
+
+  // Group names drawn beside the points
+  document.getElementById('pointLabelsToggle').addEventListener('change', (e) => {
+    pointLabels = e.target.checked;
+    updateChart();
+  });
+
+  // "Include in comparison statement" checkboxes only affect the statement
+  document.getElementById('groupContainer').addEventListener('change', (e) => {
+    if (e.target.classList.contains('group-checkbox')) {
+      updateComparison();
+    }
+  });
+
+  // Analysis: trend line toggle and model
+  document.getElementById('trendLineToggle').addEventListener('change', (e) => {
+    setTrendModel(e.target.checked ? document.getElementById('trendModelSelect').value : null);
+    updateChart();
+  });
+  document.getElementById('trendModelSelect').addEventListener('change', (e) => {
+    setTrendModel(e.target.value);
+    updateChart();
+  });
+
+  // Small-multiples panels, kept in the order they were ticked
+  document.getElementById('multiplesPollutantList').addEventListener('change', (e) => {
+    const id = parseInt(e.target.value);
+    if (e.target.checked) {
+      multiplesPollutantIds = [...multiplesPollutantIds.filter(p => p !== id), id];
+    } else {
+      multiplesPollutantIds = multiplesPollutantIds.filter(p => p !== id);
+    }
+    syncMultiplesCheckboxes();
+    updateChart();
+  });
+
+  // x-axis variable: Activity Data or another pollutant
+  document.getElementById('xPollutantSelect').addEventListener('change', (e) => {
+    setXPollutant(parseInt(e.target.value) || null);
+    setZoomWindow(null);
+    updateChart();
+  });
+
+  // Point size: plain scatter, or bubbles sized by intensity or a second pollutant
+  document.getElementById('bubbleSizeSelect').addEventListener('change', (e) => {
+    const value = e.target.value;
+    if (value === 'intensity') {
+      setBubbleSize({ metric: 'intensity' });
+    } else if (value.startsWith('pollutant:')) {
+      setBubbleSize({ metric: 'pollutant', pollutantId: parseInt(value.slice('pollutant:'.length)) });
+    } else {
+      setBubbleSize(null);
+    }
+    updateChart();
+  });
+
+  // y-axis metric: raw emissions or emission intensity
+  document.getElementById('yMetricSelect').addEventListener('change', (e) => {
+    yMetric = e.target.value === 'intensity' ? 'intensity' : 'emissions';
+    setZoomWindow(null);
+    updateChart();
+  });
+
+  // Revision comparison edition change
+  document.getElementById('compareEditionSelect').addEventListener('change', (e) => {
+    changeCompareEdition(e.target.value || null);
+  });
+
+  // Shared loader replaced its persisted copy with newer server data
+  window.addEventListener('scatterDataUpdated', () => {
+    console.log('Dataset refreshed in background, rebuilding selectors and redrawing...');
+    refreshSelectorsForNewData();
+    drawChart();
   });
 
   // Resize handler
@@ -658,6 +1291,12 @@ function drawChart() {
     return;
   }
 
+  if (viewMode === 'trajectory' && (!trajectoryStartYear || trajectoryStartYear >= selectedYear)) {
+    console.warn('Invalid trajectory year range');
+    window.ChartRenderer.showMessage('Please choose a start year before the end year', 'warning');
+    return;
+  }
+
   // Get selected groups from dropdowns
   const selectedGroupNames = getSelectedGroups();
   console.log('Selected group names:', selectedGroupNames);
@@ -669,14 +1308,7 @@ function drawChart() {
   }
 
   // Convert group names to IDs
-  const allGroups = window.supabaseModule.allGroups || [];
-  console.log('All groups available:', allGroups.length);
-  
-  const selectedGroupIds = selectedGroupNames.map(name => {
-    const group = allGroups.find(g => g.group_title === name);
-    console.log(`Looking for group "${name}":`, group ? 'found' : 'not found');
-    return group ? group.id : null;
-  }).filter(id => id !== null);
+  const selectedGroupIds = getSelectedGroupIds();
 
   console.log('Selected group IDs:', selectedGroupIds);
 
@@ -695,40 +1327,228 @@ function drawChart() {
     groupIds: selectedGroupIds
   });
 
-  // Draw chart
-  window.ChartRenderer.drawScatterChart(selectedYear, selectedPollutantId, selectedGroupIds);
-
-  // Update the comparison statement now that data is ready
-  const dataPoints = window.supabaseModule.getScatterData(selectedYear, selectedPollutantId, selectedGroupIds);
-  if (dataPoints.length >= 2) {
-    const group1 = dataPoints[0];
-    const group2 = dataPoints[1];
-
-    const higherPolluter = group1.pollutantValue > group2.pollutantValue ? group1 : group2;
-    const lowerPolluter = group1.pollutantValue > group2.pollutantValue ? group2 : group1;
+  // Small multiples replace the main chart with one panel per pollutant
+  if (viewMode === 'multiples') {
+    if (multiplesPollutantIds.length === 0) {
+      window.SmallMultiples.hideSmallMultiples();
+      window.ChartRenderer.showMessage('Please tick at least one pollutant panel', 'warning');
+      return;
+    }
+    window.SmallMultiples.drawSmallMultiples(selectedYear, multiplesPollutantIds, selectedGroupIds, {
+      xPollutantId: xPollutantId,
+      yMetric: yMetric,
+      axisScales: axisScales,
+      activePollutantId: selectedPollutantId,
+      onSelect: expandMultiplesPanel
+    });
+  } else {
+    window.SmallMultiples.hideSmallMultiples();
+
+    // Draw chart
+    const playback = window.Playback.isPlaybackActive();
+    window.ChartRenderer.drawScatterChart(selectedYear, selectedPollutantId, selectedGroupIds, {
+      compareEdition: compareEdition,
+      startYear: viewMode === 'trajectory' ? trajectoryStartYear : null,
+      axisScales: axisScales,
+      yMetric: yMetric,
+      trendModel: trendModel,
+      bubbleSize: bubbleSize,
+      xPollutantId: xPollutantId,
+      zoomWindow: zoomWindow,
+      pointLabels: pointLabels,
+      axisRanges: playback
+        ? window.Playback.getPlaybackAxisRanges(selectedPollutantId, selectedGroupIds, yMetric, bubbleSize, xPollutantId,
+            bubbleSize ? null : compareEdition)
+        : null,
+      transitionMs: playback ? window.Playback.PLAYBACK_TRANSITION_MS : 0,
+      backgroundYear: playback
+    });
+    window.Playback.syncPlaybackYear(selectedYear);
+  }
 
-    const pollutionRatio = lowerPolluter.pollutantValue !== 0 ? higherPolluter.pollutantValue / lowerPolluter.pollutantValue : Infinity;
-    const heatRatio = higherPolluter.activityData !== 0 ? lowerPolluter.activityData / higherPolluter.activityData : Infinity;
+  // Playback frames only move the points; the statement, ranking and URL catch up when it stops
+  if (window.Playback.isPlaying()) return;
+  updateChartDetails();
 
-    const pollutantName = window.supabaseModule.getPollutantName(selectedPollutantId);
+  // Batch export tracks its own event rather than every chart
+  if (window.BatchExport.isBatchRunning()) return;
 
-    const statement = `${higherPolluter.groupName} emits ${pollutionRatio.toFixed(1)} times more ${pollutantName} pollution than ${lowerPolluter.groupName}. ${lowerPolluter.groupName} provides ${heatRatio.toFixed(1)} times more heat.`;
-    updateComparisonStatement(statement);
-  } else {
-    updateComparisonStatement("Select two groups to see a comparison.");
+  if (viewMode === 'multiples') {
+    window.supabaseModule.trackAnalytics('small_multiples_drawn', {
+      year: selectedYear,
+      pollutants: multiplesPollutantIds.map(id => window.supabaseModule.getPollutantName(id)).join(','),
+      x_pollutant: xPollutantId ? window.supabaseModule.getPollutantName(xPollutantId) : null,
+      y_metric: yMetric,
+      group_count: selectedGroupIds.length
+    });
+    return;
   }
-  
-  // Update URL
-  updateURL();
-  
+
   // Track chart draw event
   window.supabaseModule.trackAnalytics('scatter_chart_drawn', {
     year: selectedYear,
+    start_year: viewMode === 'trajectory' ? trajectoryStartYear : null,
+    x_scale: axisScales.x,
+    y_scale: axisScales.y,
+    y_metric: yMetric,
+    trend: trendModel,
+    point_labels: pointLabels,
+    x_pollutant: xPollutantId ? window.supabaseModule.getPollutantName(xPollutantId) : null,
+    bubble_size: bubbleSize ? (bubbleSize.metric === 'intensity' ? 'intensity' : window.supabaseModule.getPollutantName(bubbleSize.pollutantId)) : null,
     pollutant: window.supabaseModule.getPollutantName(selectedPollutantId),
     group_count: selectedGroupIds.length
   });
 }
 
+/**
+ * Update what surrounds the chart: comparison statement, ranking, emission factor panel and URL
+ */
+function updateChartDetails() {
+  // Update the comparison statement now that data is ready
+  updateComparison();
+  const dataPoints = window.supabaseModule.getScatterData(selectedYear, selectedPollutantId, getSelectedGroupIds());
+
+  // Rank the groups by emission intensity under the chart (a single-year table, so not for trajectories)
+  window.RankingPanel.renderRankingPanel(viewMode === 'trajectory' ? [] : dataPoints, {
+    year: selectedYear,
+    pollutantName: window.supabaseModule.getPollutantName(selectedPollutantId),
+    units: {
+      pollutant: window.supabaseModule.getPollutantUnit(selectedPollutantId),
+      activity: window.supabaseModule.getPollutantUnit(window.supabaseModule.activityDataId) || 'TJ',
+      intensity: window.supabaseModule.getEmissionIntensityUnit(selectedPollutantId)
+    }
+  });
+
+  // Keep the emission factor trends panel in step with the selection (if open)
+  window.EfTrends.refreshEfTrendPanel();
+  
+  // Update URL
+  updateURL();
+}
+
+/**
+ * Group IDs ticked "Include in comparison statement" (rows without a checkbox count as ticked)
+ * @returns {Array<number>} Group IDs in selector order
+ */
+function getComparisonGroupIds() {
+  const ids = [];
+  document.querySelectorAll('#groupContainer .groupRow').forEach(row => {
+    const select = row.querySelector('select');
+    const checkbox = row.querySelector('.group-checkbox');
+    if (!select || !select.value || (checkbox && !checkbox.checked)) return;
+
+    const id = window.supabaseModule.getGroupIdByTitle(select.value);
+    if (id !== null) ids.push(id);
+  });
+  return ids;
+}
+
+/**
+ * Fill the baseline selector with the compared groups
+ * @param {Array} dataPoints - Points being compared
+ * @param {Object|null} comparison - Result of Comparison.buildComparison
+ */
+function populateBaselineSelector(dataPoints, comparison) {
+  const wrapper = document.getElementById('comparisonControls');
+  const select = document.getElementById('comparisonBaselineSelect');
+  if (!wrapper || !select) return;
+
+  wrapper.style.display = comparison ? '' : 'none';
+  select.innerHTML = '';
+  dataPoints.forEach(point => {
+    select.appendChild(new Option(point.groupName, point.groupId));
+  });
+  if (comparison) {
+    select.value = String(comparison.baseline.groupId);
+  }
+}
+
+/**
+ * Template for the comparison statement
+ * @returns {string|null} Template text, or null for the automatic sentences
+ */
+function getActiveStatementTemplate() {
+  if (statementTemplateId === 'custom') {
+    return customStatementTemplate.trim() || null;
+  }
+  const preset = window.StatementTemplates.getStatementPreset(statementTemplateId);
+  return preset ? preset.template : null;
+}
+
+/**
+ * Reflect the chosen template in the picker and custom template field
+ */
+function syncStatementTemplateControls() {
+  const select = document.getElementById('statementTemplateSelect');
+  const input = document.getElementById('statementTemplateInput');
+  if (!select || !input) return;
+
+  select.value = statementTemplateId;
+  input.value = customStatementTemplate;
+  input.style.display = statementTemplateId === 'custom' ? '' : 'none';
+}
+
+/**
+ * Compare every included group against the baseline: one sentence per group
+ * in the statement pill, and the full comparison table
+ */
+function updateComparison() {
+  // Statements compare one year's values, which a start-to-end trajectory does not show
+  if (viewMode === 'trajectory') {
+    ensureComparisonDivExists();
+    populateBaselineSelector([], null);
+    updateComparisonStatement('Comparison statements describe a single year. Set "View" to "Single year" to see them.');
+    document.getElementById('comparisonDetails').style.display = 'none';
+    return;
+  }
+
+  const groupIds = getComparisonGroupIds();
+  const dataPoints = selectedYear && selectedPollutantId
+    ? window.supabaseModule.getScatterData(selectedYear, selectedPollutantId, groupIds)
+    : [];
+
+  const units = {
+    pollutant: window.supabaseModule.getPollutantUnit(selectedPollutantId),
+    activity: window.supabaseModule.getPollutantUnit(window.supabaseModule.activityDataId) || 'TJ',
+    intensity: window.supabaseModule.getEmissionIntensityUnit(selectedPollutantId)
+  };
+
+  const comparison = window.Comparison.buildComparison(dataPoints, {
+    baselineGroupId: comparisonBaselineGroupId,
+    pollutantName: window.supabaseModule.getPollutantName(selectedPollutantId),
+    activityUnit: units.activity
+  });
+
+  ensureComparisonDivExists();
+  populateBaselineSelector(dataPoints, comparison);
+  syncStatementTemplateControls();
+
+  const details = document.getElementById('comparisonDetails');
+  if (!comparison) {
+    updateComparisonStatement("Select two groups to see a comparison.");
+    details.style.display = 'none';
+    return;
+  }
+
+  // A template replaces the automatic sentences
+  const template = getActiveStatementTemplate();
+  const context = {
+    year: selectedYear,
+    pollutantName: window.supabaseModule.getPollutantName(selectedPollutantId),
+    pollutantUnit: units.pollutant,
+    activityUnit: units.activity,
+    activityNoun: window.Comparison.describeActivityUnit(units.activity)
+  };
+  const sentences = comparison.entries.map(entry => template
+    ? window.StatementTemplates.renderStatementTemplate(template,
+        window.StatementTemplates.buildStatementVariables(entry.point, comparison.baseline, context))
+    : entry.sentence);
+
+  updateComparisonStatement(sentences);
+  window.Comparison.renderComparisonTable(document.getElementById('comparisonTable'), comparison, units);
+  details.style.display = '';
+}
+
 function ensureComparisonDivExists() {
   let comparisonContainer = document.getElementById('comparisonContainer');
   if (!comparisonContainer) {
@@ -745,6 +1565,69 @@ function ensureComparisonDivExists() {
     }
   }
 
+  // Baseline group and statement template selectors
+  if (!document.getElementById('comparisonControls')) {
+    const controls = document.createElement('div');
+    controls.id = 'comparisonControls';
+    controls.className = 'comparison-controls';
+
+    const label = document.createElement('label');
+    label.htmlFor = 'comparisonBaselineSelect';
+    label.textContent = 'Compare against: ';
+
+    const select = document.createElement('select');
+    select.id = 'comparisonBaselineSelect';
+    select.addEventListener('change', (e) => {
+      comparisonBaselineGroupId = parseInt(e.target.value) || null;
+      updateComparison();
+      updateURL();
+    });
+
+    const templateLabel = document.createElement('label');
+    templateLabel.htmlFor = 'statementTemplateSelect';
+    templateLabel.textContent = 'Wording: ';
+
+    const templateSelect = document.createElement('select');
+    templateSelect.id = 'statementTemplateSelect';
+    window.StatementTemplates.STATEMENT_PRESETS.forEach(preset => {
+      templateSelect.appendChild(new Option(preset.label, preset.id));
+    });
+    templateSelect.appendChild(new Option('Custom template…', 'custom'));
+
+    const templateInput = document.createElement('input');
+    templateInput.type = 'text';
+    templateInput.id = 'statementTemplateInput';
+    templateInput.placeholder = '{high} emits {ratio}× more {pollutant} per {activityUnit} than {low}';
+    templateInput.title = 'Placeholders: {group} {baseline} {high} {low} {intensityHigh} {intensityLow} ' +
+      '{pollutant} {pollutantUnit} {activityUnit} {activityNoun} {year} {emissions} {baselineEmissions} ' +
+      '{activity} {baselineActivity} {intensity} {baselineIntensity} {ratio} {emissionsRatio} ' +
+      '{activityRatio} {intensityRatio}. Formats: {ratio:1} {ratio:sig2} {ratio:pct} {ratio:int} {activity:short} {group:upper}';
+    templateInput.setAttribute('aria-label', 'Custom statement template');
+
+    templateSelect.addEventListener('change', (e) => {
+      // Start a custom template from the wording that was showing
+      if (e.target.value === 'custom' && !customStatementTemplate) {
+        customStatementTemplate = getActiveStatementTemplate() || window.StatementTemplates.STATEMENT_PRESETS[1].template;
+      }
+      statementTemplateId = e.target.value;
+      syncStatementTemplateControls();
+      updateComparison();
+      updateURL();
+    });
+    templateInput.addEventListener('input', debounce((e) => {
+      customStatementTemplate = window.StatementTemplates.sanitiseStatementTemplate(e.target.value);
+      updateComparison();
+      updateURL();
+    }, 300));
+
+    controls.appendChild(label);
+    controls.appendChild(select);
+    controls.appendChild(templateLabel);
+    controls.appendChild(templateSelect);
+    controls.appendChild(templateInput);
+    comparisonContainer.appendChild(controls);
+  }
+
   let comparisonDiv = document.getElementById('comparisonDiv');
   if (!comparisonDiv) {
     comparisonDiv = document.createElement('div');
@@ -752,14 +1635,40 @@ function ensureComparisonDivExists() {
     comparisonDiv.className = 'comparison-statement';
     comparisonContainer.appendChild(comparisonDiv);
   }
+
+  // Collapsible full comparison table
+  if (!document.getElementById('comparisonDetails')) {
+    const details = document.createElement('details');
+    details.id = 'comparisonDetails';
+    details.className = 'comparison-details';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Full comparison table';
+
+    const tableContainer = document.createElement('div');
+    tableContainer.id = 'comparisonTable';
+
+    details.appendChild(summary);
+    details.appendChild(tableContainer);
+    comparisonContainer.appendChild(details);
+  }
   
   return comparisonDiv;
 }
 
+/**
+ * Show the comparison statement
+ * @param {string|Array<string>} statement - A message, or one sentence per compared group
+ */
 function updateComparisonStatement(statement) {
   const comparisonDiv = ensureComparisonDivExists();
   if (comparisonDiv) {
-    comparisonDiv.textContent = statement;
+    comparisonDiv.innerHTML = '';
+    (Array.isArray(statement) ? statement : [statement]).forEach(sentence => {
+      const line = document.createElement('div');
+      line.textContent = sentence;
+      comparisonDiv.appendChild(line);
+    });
     comparisonDiv.className = 'comparison-statement';
   }
 }
@@ -793,6 +1702,69 @@ function showNotification(message, type) {
   }, 5000);
 }
 
+/**
+ * Get IDs of the groups selected in the dropdowns
+ * @returns {Array<number>} Group IDs in selector order
+ */
+function getSelectedGroupIds() {
+  return getSelectedGroups()
+    .map(name => window.supabaseModule.getGroupIdByTitle(name))
+    .filter(id => id !== null);
+}
+
+/**
+ * Build the query string describing the current chart
+ * Used for both the address bar and share links (preserves literal commas)
+ * @returns {string} Query string without the leading '?'
+ */
+function buildShareQuery() {
+  let query = `year=${selectedYear}&pollutant_id=${selectedPollutantId}&group_ids=${getSelectedGroupIds().join(',')}`;
+
+  if (viewMode === 'multiples') {
+    query += `&multiples=${multiplesPollutantIds.join(',')}`;
+  } else if (viewMode === 'trajectory' && trajectoryStartYear) {
+    query += `&start_year=${trajectoryStartYear}`;
+  } else if (window.Playback.isPlaybackActive()) {
+    // year is the playback position; this restores the fixed-axis timeline view
+    query += '&playback=1';
+  }
+
+  if (axisScales.x === 'log') query += '&x_scale=log';
+  if (axisScales.y === 'log') query += '&y_scale=log';
+  if (yMetric === 'intensity') query += '&y_metric=intensity';
+  if (xPollutantId) query += `&x_pollutant_id=${xPollutantId}`;
+  if (zoomWindow && viewMode !== 'multiples') query += `&zoom=${window.ChartZoom.formatZoomParam(zoomWindow)}`;
+  if (trendModel) query += `&trend=${trendModel}`;
+  if (pointLabels && viewMode !== 'multiples') query += '&labels=1';
+  if (bubbleSize && viewMode === 'single') {
+    query += bubbleSize.metric === 'intensity' ? '&bubble=intensity' : `&bubble_pollutant_id=${bubbleSize.pollutantId}`;
+  }
+  if (comparisonBaselineGroupId && getComparisonGroupIds().includes(comparisonBaselineGroupId)) {
+    query += `&baseline=${comparisonBaselineGroupId}`;
+  }
+
+  // Carry the statement wording so recipients see the same text
+  const template = getActiveStatementTemplate();
+  if (statementTemplateId === 'custom' && template) {
+    query += `&statement_template=${encodeURIComponent(template)}`;
+  } else if (statementTemplateId !== 'auto' && statementTemplateId !== 'custom') {
+    query += `&statement=${statementTemplateId}`;
+  }
+
+  // Pin the data source so recipients see the same numbers
+  const dataSource = window.supabaseModule.dataSource;
+  if (dataSource && dataSource.type === 'local') {
+    query += `&source=local&dataset=${encodeURIComponent(dataSource.dataset)}`;
+  } else if (window.supabaseModule.datasetEdition) {
+    query += `&dataset=${window.supabaseModule.datasetEdition}`;
+    if (compareEdition && viewMode === 'single' && !bubbleSize) {
+      query += `&compare=${compareEdition}`;
+    }
+  }
+
+  return query;
+}
+
 /**
  * Update URL with current parameters
  */
@@ -802,15 +1774,7 @@ function updateURL() {
     return;
   }
 
-  // Convert group names to IDs for URL
-  const allGroups = window.supabaseModule.allGroups || [];
-  const selectedGroupIds = selectedGroupNames.map(name => {
-    const group = allGroups.find(g => g.group_title === name);
-    return group ? group.id : null;
-  }).filter(id => id !== null);
-
-  const query = `year=${selectedYear}&pollutant_id=${selectedPollutantId}&group_ids=${selectedGroupIds.join(',')}`;
-  const newURL = window.location.pathname + '?' + query;
+  const newURL = window.location.pathname + '?' + buildShareQuery();
   window.history.replaceState({}, '', newURL);
 }
 
@@ -850,6 +1814,12 @@ function loadFromURLParameters() {
   }
 }
 
+// Expose state helpers for export.js
+window.ScatterApp = {
+  buildShareQuery,
+  getSelectedGroupIds
+};
+
 // Listen for parent window messages
 // Listen for parent window messages (if needed for future features)  
 window.addEventListener('message', (event) => {
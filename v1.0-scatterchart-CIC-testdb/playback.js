@@ -0,0 +1,301 @@
+/**
+ * Year Playback Module
+ * Timeline control that steps the scatter chart through every available year,
+ * Gapminder style: points glide between years, axis ranges stay fixed for the
+ * whole run and the current year sits large in the chart background
+ */
+
+const PLAYBACK_FRAME_MS = 1200; // Time each year stays on screen while playing
+const PLAYBACK_TRANSITION_MS = 900; // Point movement between years (must be < frame time)
+const PLAYBACK_AXIS_PADDING = 0.05; // Headroom above the largest value across all years
+
+let playbackYears = []; // Ascending
+let playbackIndex = 0;
+let playbackTimer = null;
+let playbackPlaying = false;
+let playbackActive = false; // Timeline engaged: fixed axes and background year
+let playbackEnabled = true;
+let playbackOnYear = null;
+let playbackOnStop = null;
+
+/**
+ * Bind the timeline controls
+ * @param {Object} options - Playback options
+ * @param {Function} options.onYear - Called with the year to show; should redraw the chart
+ * @param {Function} options.onStop - Called when running playback stops, to catch up on what frames skip
+ */
+function setupPlayback(options = {}) {
+  playbackOnYear = typeof options.onYear === 'function' ? options.onYear : null;
+  playbackOnStop = typeof options.onStop === 'function' ? options.onStop : null;
+
+  document.getElementById('playbackPlayPause').addEventListener('click', () => {
+    if (isPlaying()) {
+      pausePlayback();
+    } else {
+      startPlayback();
+    }
+  });
+
+  document.getElementById('playbackStepBack').addEventListener('click', () => {
+    pausePlayback();
+    stepPlayback(-1);
+  });
+
+  document.getElementById('playbackStepForward').addEventListener('click', () => {
+    pausePlayback();
+    stepPlayback(1);
+  });
+
+  // Scrubbing redraws on every slider movement
+  document.getElementById('playbackSlider').addEventListener('input', (e) => {
+    pausePlayback();
+    showPlaybackIndex(parseInt(e.target.value));
+  });
+
+  updatePlaybackControls();
+}
+
+/**
+ * Set the years the timeline runs through
+ * @param {Array<number>} years - Available years, in any order
+ */
+function setPlaybackYears(years) {
+  const currentYear = playbackYears[playbackIndex];
+  playbackYears = [...years].sort((a, b) => a - b);
+
+  const slider = document.getElementById('playbackSlider');
+  slider.min = 0;
+  slider.max = Math.max(0, playbackYears.length - 1);
+
+  const index = playbackYears.indexOf(currentYear);
+  playbackIndex = index >= 0 ? index : Math.max(0, playbackYears.length - 1);
+  updatePlaybackControls();
+}
+
+/**
+ * Move the timeline to a year chosen elsewhere (e.g. the year dropdown) without redrawing
+ * @param {number} year - Year now on screen
+ */
+function syncPlaybackYear(year) {
+  const index = playbackYears.indexOf(year);
+  if (index >= 0) {
+    playbackIndex = index;
+    updatePlaybackControls();
+  }
+}
+
+/**
+ * Show the year at a timeline position
+ * @param {number} index - Index into the ascending year list
+ */
+function showPlaybackIndex(index) {
+  if (!playbackEnabled || playbackYears.length === 0) return;
+
+  playbackIndex = Math.min(Math.max(index, 0), playbackYears.length - 1);
+  playbackActive = true;
+  updatePlaybackControls();
+
+  if (playbackOnYear) {
+    playbackOnYear(playbackYears[playbackIndex]);
+  }
+}
+
+/**
+ * Step one year forwards or backwards
+ * @param {number} delta - +1 or -1
+ */
+function stepPlayback(delta) {
+  showPlaybackIndex(playbackIndex + delta);
+}
+
+/**
+ * Play from the current year to the last, restarting from the first if already at the end
+ */
+function startPlayback() {
+  if (!playbackEnabled || playbackYears.length < 2 || isPlaying()) return;
+
+  if (playbackIndex >= playbackYears.length - 1) {
+    playbackIndex = 0;
+  }
+
+  playbackPlaying = true;
+  showPlaybackIndex(playbackIndex);
+  scheduleNextFrame();
+
+  if (window.supabaseModule) {
+    window.supabaseModule.trackAnalytics('playback_started', {
+      from_year: playbackYears[playbackIndex]
+    });
+  }
+}
+
+/**
+ * Queue the next year while playing
+ */
+function scheduleNextFrame() {
+  playbackTimer = setTimeout(() => {
+    showPlaybackIndex(playbackIndex + 1);
+    if (playbackIndex >= playbackYears.length - 1) {
+      pausePlayback();
+    } else {
+      scheduleNextFrame();
+    }
+  }, PLAYBACK_FRAME_MS);
+}
+
+/**
+ * Stop playing, leaving the current year on screen
+ */
+function pausePlayback() {
+  const wasPlaying = playbackPlaying;
+  clearTimeout(playbackTimer);
+  playbackTimer = null;
+  playbackPlaying = false;
+  updatePlaybackControls();
+
+  if (wasPlaying && playbackOnStop) {
+    playbackOnStop();
+  }
+}
+
+/**
+ * Leave timeline mode so the chart goes back to auto-fitted axes
+ */
+function resetPlayback() {
+  pausePlayback();
+  playbackActive = false;
+}
+
+/**
+ * Turn timeline mode on without drawing, e.g. when restoring a shared URL
+ */
+function activatePlayback() {
+  playbackActive = playbackEnabled;
+}
+
+/**
+ * Enable or disable the timeline (it does not apply to trajectory view)
+ * @param {boolean} enabled - Whether the controls can be used
+ */
+function setPlaybackEnabled(enabled) {
+  playbackEnabled = enabled;
+  if (!enabled) {
+    resetPlayback();
+  }
+  updatePlaybackControls();
+}
+
+/**
+ * @returns {boolean} Whether playback is running
+ */
+function isPlaying() {
+  return playbackPlaying;
+}
+
+/**
+ * @returns {boolean} Whether the chart should be drawn in timeline mode
+ */
+function isPlaybackActive() {
+  return playbackActive && playbackEnabled;
+}
+
+/**
+ * Fixed axis ranges covering the selected groups in every year, so points
+ * move against a stable frame during playback
+ * @param {number} pollutantId - Pollutant on the y-axis
+ * @param {Array<number>} groupIds - Plotted groups
+ * @param {string} yMetric - 'emissions' or 'intensity' (the y value being plotted)
+ * @param {Object|null} bubbleSize - Bubble size variable, to fix the size scale too
+ * @param {number|null} xPollutantId - Pollutant on the x-axis (null for Activity Data)
+ * @param {string|null} compareEdition - Edition whose revision points are also drawn
+ * @returns {Object|null} {x: {min, max, positiveMin}, y: {...}, size: {max}}, or null with no data
+ */
+function getPlaybackAxisRanges(pollutantId, groupIds, yMetric = 'emissions', bubbleSize = null, xPollutantId = null, compareEdition = null) {
+  const xId = xPollutantId || window.supabaseModule.activityDataId;
+  const ranges = {
+    x: { min: Infinity, max: -Infinity, positiveMin: null },
+    y: { min: Infinity, max: -Infinity, positiveMin: null }
+  };
+  if (bubbleSize) ranges.size = { max: 0 };
+  // Smallest value above zero, for log axes
+  const trackPositive = (range, value) => {
+    if (value > 0 && (range.positiveMin === null || value < range.positiveMin)) {
+      range.positiveMin = value;
+    }
+  };
+
+  playbackYears.forEach(year => {
+    const dataPoints = window.supabaseModule.getScatterData(year, pollutantId, groupIds,
+      window.supabaseModule.datasetEdition, xId);
+    if (bubbleSize) {
+      window.ChartRenderer.getBubbleSizes(year, groupIds, bubbleSize, dataPoints, xId).forEach(value => {
+        ranges.size.max = Math.max(ranges.size.max, value);
+      });
+    }
+    // Revision comparison also plots the other edition's points
+    const seriesPoints = compareEdition
+      ? [...dataPoints, ...window.supabaseModule.getScatterData(year, pollutantId, groupIds, compareEdition, xId)]
+      : dataPoints;
+    seriesPoints.forEach(point => {
+      const y = yMetric === 'intensity' ? point.emissionIntensity : point.pollutantValue;
+      if (y === null) return;
+      ranges.x.min = Math.min(ranges.x.min, point.xValue);
+      ranges.x.max = Math.max(ranges.x.max, point.xValue);
+      ranges.y.min = Math.min(ranges.y.min, y);
+      ranges.y.max = Math.max(ranges.y.max, y);
+      trackPositive(ranges.x, point.xValue);
+      trackPositive(ranges.y, y);
+    });
+  });
+
+  if (!isFinite(ranges.x.max) || !isFinite(ranges.y.max)) return null;
+
+  // Linear axes start at zero as in the auto-fitted chart, or below it for negative values (e.g. net removals)
+  ['x', 'y'].forEach(axis => {
+    const range = ranges[axis];
+    const min = range.min < 0 ? range.min * (1 + PLAYBACK_AXIS_PADDING) : 0;
+    range.max = range.max > 0 ? range.max * (1 + PLAYBACK_AXIS_PADDING) : (min < 0 ? 0 : 1);
+    range.min = min;
+  });
+  return ranges;
+}
+
+/**
+ * Reflect the playback state in the buttons and slider
+ */
+function updatePlaybackControls() {
+  const playPause = document.getElementById('playbackPlayPause');
+  const stepBack = document.getElementById('playbackStepBack');
+  const stepForward = document.getElementById('playbackStepForward');
+  const slider = document.getElementById('playbackSlider');
+  if (!playPause || !slider) return;
+
+  const playing = isPlaying();
+  playPause.textContent = playing ? '⏸' : '▶';
+  playPause.title = playing ? 'Pause' : 'Play through all years';
+  playPause.setAttribute('aria-label', playPause.title);
+
+  const hasYears = playbackYears.length > 1;
+  playPause.disabled = !playbackEnabled || !hasYears;
+  stepBack.disabled = !playbackEnabled || playbackIndex <= 0;
+  stepForward.disabled = !playbackEnabled || !hasYears || playbackIndex >= playbackYears.length - 1;
+  slider.disabled = !playbackEnabled || !hasYears;
+  slider.value = playbackIndex;
+  slider.setAttribute('aria-valuetext', playbackYears[playbackIndex] ? String(playbackYears[playbackIndex]) : '');
+}
+
+// Export playback functions
+window.Playback = {
+  PLAYBACK_TRANSITION_MS,
+  setupPlayback,
+  setPlaybackYears,
+  syncPlaybackYear,
+  startPlayback,
+  pausePlayback,
+  resetPlayback,
+  activatePlayback,
+  setPlaybackEnabled,
+  isPlaying,
+  isPlaybackActive,
+  getPlaybackAxisRanges
+};
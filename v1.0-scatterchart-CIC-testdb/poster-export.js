@@ -0,0 +1,330 @@
+/**
+ * Poster Export Module
+ * Composites everything a shared image needs onto one canvas: the title, legend,
+ * chart (with its overlays), comparison statement, data source credit and the
+ * CIC logo. The chart is drawn from its SVG, so it stays sharp at any scale.
+ */
+
+const POSTER_SCALE = 2; // Pixels per CSS pixel (raised to devicePixelRatio on denser screens)
+const POSTER_MARGIN = 32;
+const POSTER_GAP = 16;
+const POSTER_MIN_WIDTH = 800;
+const POSTER_MIN_CHART_HEIGHT = 240;
+const POSTER_SWATCH = 12;
+const POSTER_LEGEND_GAP = 20;
+const POSTER_LEGEND_LINE_HEIGHT = 24;
+const POSTER_STATEMENT_FONT_SIZE = 16;
+const POSTER_STATEMENT_LINE_HEIGHT = 22;
+const POSTER_STATEMENT_PADDING = 12;
+const POSTER_STATEMENT_COLOR = 'orange'; // Same as the statement pill on the page
+const POSTER_CREDIT_FONT_SIZE = 13;
+const POSTER_LOGO_SIZE = 64;
+const POSTER_LOGO_SRC = '../../Shared Resources/images/CIC - Square - Border - Words - Alpha 360x360.png';
+const POSTER_FONT_FAMILY = 'Arial, sans-serif';
+
+// Named output sizes for social media, print and slides. width and height are the
+// image size in pixels; scale sets how large text and points are at that size, as
+// the poster is laid out at (width / scale) x (height / scale) CSS pixels.
+const POSTER_PRESETS = [
+  { id: 'x', label: 'X / Twitter (16:9)', width: 1600, height: 900, scale: 1.25 },
+  { id: 'bluesky', label: 'Bluesky (4:3)', width: 1200, height: 900, scale: 1.2 },
+  { id: 'instagram-square', label: 'Instagram square (1:1)', width: 1080, height: 1080, scale: 1.2 },
+  { id: 'instagram-portrait', label: 'Instagram portrait (4:5)', width: 1080, height: 1350, scale: 1.2 },
+  { id: 'youtube-community', label: 'YouTube community post (1:1)', width: 1200, height: 1200, scale: 1.25 },
+  { id: 'a4-landscape', label: 'A4 landscape (300 dpi)', width: 3508, height: 2480, scale: 3 },
+  { id: 'slide', label: 'Slide (16:9)', width: 1920, height: 1080, scale: 1.5 }
+];
+
+/**
+ * Find a size preset
+ * @param {string} id - Preset id
+ * @returns {Object|null} Preset, or null if unknown
+ */
+function getPosterPreset(id) {
+  return POSTER_PRESETS.find(preset => preset.id === id) || null;
+}
+
+/**
+ * @param {number} size - Font size in CSS pixels
+ * @param {string} weight - Font weight
+ * @returns {string} Canvas font
+ */
+function posterFont(size, weight = 'normal') {
+  return `${weight} ${size}px ${POSTER_FONT_FAMILY}`;
+}
+
+/**
+ * Break text into lines that fit a width
+ * @param {CanvasRenderingContext2D} ctx - Context with the font set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in CSS pixels
+ * @returns {Array<string>} Lines
+ */
+function wrapPosterText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Sentences in the comparison statement pill, or none when no comparison is shown
+ * @returns {Array<string>} Sentences
+ */
+function readPosterStatement() {
+  const details = document.getElementById('comparisonDetails');
+  const statement = document.getElementById('comparisonDiv');
+  if (!statement || !details || details.style.display === 'none') return [];
+  return Array.from(statement.children)
+    .map(line => line.textContent.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Trace a rounded rectangle (CanvasRenderingContext2D.roundRect is not available everywhere)
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} radius - Corner radius
+ */
+function tracePosterRoundRect(ctx, x, y, width, height, radius) {
+  const r = Math.min(radius, width / 2, height / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + width, y, x + width, y + height, r);
+  ctx.arcTo(x + width, y + height, x, y + height, r);
+  ctx.arcTo(x, y + height, x, y, r);
+  ctx.arcTo(x, y, x + width, y, r);
+  ctx.closePath();
+}
+
+/**
+ * Compose the poster image for the main chart
+ * @param {Object} options - Poster options
+ * @param {string} options.preset - Size preset id (overrides width, height and scale)
+ * @param {number} options.width - Poster width in CSS pixels (defaults to the on-screen chart width)
+ * @param {number} options.height - Poster height in CSS pixels; the chart takes whatever the other
+ *   parts leave (defaults to the on-screen chart height plus those parts)
+ * @param {number} options.scale - Pixels per CSS pixel
+ * @returns {Promise<string>} PNG data URL
+ */
+async function generatePosterImage(options = {}) {
+  const chartData = window.ChartRenderer.getCurrentChartData();
+  if (!chartData) {
+    throw new Error('No chart available to export');
+  }
+
+  const preset = options.preset ? getPosterPreset(options.preset) : null;
+  if (preset) {
+    options = { width: preset.width / preset.scale, height: preset.height / preset.scale, scale: preset.scale };
+  }
+
+  const chartDiv = document.getElementById('chart_div');
+  const width = options.width || Math.max(chartDiv.offsetWidth || 1200, POSTER_MIN_WIDTH);
+  const scale = options.scale || Math.max(window.devicePixelRatio || 1, POSTER_SCALE);
+  const inner = width - 2 * POSTER_MARGIN;
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+
+  // Measure every part first; the chart gets the height that is left
+  const titleLines = window.VectorExport.readVectorTitleLines();
+  const titleHeight = titleLines.reduce((sum, line) => sum + Math.round(line.fontSize * 1.3), 0);
+
+  const legend = window.VectorExport.readVectorLegendEntries();
+  const legendRows = [[]];
+  let rowWidth = 0;
+  legend.forEach(entry => {
+    ctx.font = posterFont(entry.fontSize, entry.fontWeight);
+    const itemWidth = POSTER_SWATCH + 8 + ctx.measureText(entry.text).width;
+    if (rowWidth > 0 && rowWidth + POSTER_LEGEND_GAP + itemWidth > inner) {
+      legendRows.push([]);
+      rowWidth = 0;
+    }
+    legendRows[legendRows.length - 1].push({ ...entry, width: itemWidth });
+    rowWidth += (rowWidth > 0 ? POSTER_LEGEND_GAP : 0) + itemWidth;
+  });
+  const legendHeight = legend.length > 0 ? legendRows.length * POSTER_LEGEND_LINE_HEIGHT : 0;
+
+  ctx.font = posterFont(POSTER_STATEMENT_FONT_SIZE, 'bold');
+  let statementLines = readPosterStatement()
+    .flatMap(sentence => wrapPosterText(ctx, sentence, inner - 2 * POSTER_STATEMENT_PADDING));
+  const statementHeightFor = lines => lines.length > 0
+    ? POSTER_GAP + lines.length * POSTER_STATEMENT_LINE_HEIGHT + 2 * POSTER_STATEMENT_PADDING
+    : 0;
+
+  const headerHeight = POSTER_MARGIN + titleHeight + 8 + legendHeight + POSTER_GAP;
+  const footerHeight = POSTER_GAP + POSTER_LOGO_SIZE + POSTER_MARGIN;
+
+  // On a fixed-size poster the chart comes first: drop the statement if it would squeeze the chart too small
+  if (options.height && statementLines.length > 0 &&
+      options.height - headerHeight - statementHeightFor(statementLines) - footerHeight < POSTER_MIN_CHART_HEIGHT) {
+    console.warn('Poster: comparison statement left out to keep the chart readable');
+    statementLines = [];
+  }
+  const statementHeight = statementHeightFor(statementLines);
+  const chartHeight = Math.max(POSTER_MIN_CHART_HEIGHT, Math.round(options.height
+    ? options.height - headerHeight - statementHeight - footerHeight
+    : chartDiv.offsetHeight || 600));
+  const height = options.height || headerHeight + chartHeight + statementHeight + footerHeight;
+
+  const { svg, layout } = await window.VectorExport.renderOffscreenChartSvg(chartData, inner, chartHeight);
+  const chartImage = await window.ExportShare.loadExportImage(
+    'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(new XMLSerializer().serializeToString(svg)));
+  const logo = await window.ExportShare.loadExportImage(encodeURI(POSTER_LOGO_SRC)).catch(error => {
+    console.warn('Poster logo not available:', error.message);
+    return null;
+  });
+
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  ctx.scale(scale, scale); // Everything below is in CSS pixels
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  // Title
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  let y = POSTER_MARGIN;
+  titleLines.forEach(line => {
+    ctx.font = posterFont(line.fontSize, line.fontWeight);
+    ctx.fillStyle = line.color;
+    ctx.fillText(line.text, width / 2, y + line.fontSize);
+    y += Math.round(line.fontSize * 1.3);
+  });
+  y += 8;
+
+  // Legend
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  legendRows.forEach(row => {
+    if (row.length === 0) return;
+    const total = row.reduce((sum, item) => sum + item.width, 0) + POSTER_LEGEND_GAP * (row.length - 1);
+    let x = (width - total) / 2;
+    const middle = y + POSTER_LEGEND_LINE_HEIGHT / 2;
+    row.forEach(item => {
+      ctx.beginPath();
+      ctx.arc(x + POSTER_SWATCH / 2, middle, item.stroke ? POSTER_SWATCH / 2 - 1 : POSTER_SWATCH / 2, 0, 2 * Math.PI);
+      if (item.fill !== 'none') {
+        ctx.fillStyle = item.fill;
+        ctx.fill();
+      }
+      if (item.stroke) {
+        ctx.strokeStyle = item.stroke;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+      ctx.font = posterFont(item.fontSize, item.fontWeight);
+      ctx.fillStyle = item.color;
+      ctx.fillText(item.text, x + POSTER_SWATCH + 8, middle);
+      x += item.width + POSTER_LEGEND_GAP;
+    });
+    y += POSTER_LEGEND_LINE_HEIGHT;
+  });
+  y += POSTER_GAP;
+
+  // Chart, then the overlays in the chart's own pixel coordinates
+  ctx.drawImage(chartImage, POSTER_MARGIN, y, inner, chartHeight);
+  ctx.save();
+  ctx.translate(POSTER_MARGIN, y);
+  window.ChartRenderer.paintOverlay(ctx, layout, chartData.overlays);
+  ctx.restore();
+  y += chartHeight;
+
+  // Comparison statement pill
+  if (statementLines.length > 0) {
+    y += POSTER_GAP;
+    ctx.font = posterFont(POSTER_STATEMENT_FONT_SIZE, 'bold');
+    const pillWidth = Math.min(inner,
+      Math.max(...statementLines.map(line => ctx.measureText(line).width)) + 2 * POSTER_STATEMENT_PADDING);
+    const pillHeight = statementLines.length * POSTER_STATEMENT_LINE_HEIGHT + 2 * POSTER_STATEMENT_PADDING;
+    ctx.fillStyle = POSTER_STATEMENT_COLOR;
+    tracePosterRoundRect(ctx, (width - pillWidth) / 2, y, pillWidth, pillHeight, 20);
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    statementLines.forEach((line, index) => {
+      ctx.fillText(line, width / 2, y + POSTER_STATEMENT_PADDING + (index + 0.5) * POSTER_STATEMENT_LINE_HEIGHT);
+    });
+  }
+
+  // Footer: credit on the left, logo on the right, pinned to the bottom
+  const footerTop = height - POSTER_MARGIN - POSTER_LOGO_SIZE;
+  const source = chartData.datasetEdition ? `, ${chartData.datasetEdition} dataset` : '';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = '#555555';
+  ctx.font = posterFont(POSTER_CREDIT_FONT_SIZE);
+  ctx.fillText(`Data: UK National Atmospheric Emissions Inventory (NAEI)${source}`,
+    POSTER_MARGIN, footerTop + POSTER_LOGO_SIZE / 2 - 4);
+  ctx.fillText('Chart: Chronic Illness Channel', POSTER_MARGIN, footerTop + POSTER_LOGO_SIZE / 2 + POSTER_CREDIT_FONT_SIZE + 2);
+  if (logo) {
+    ctx.drawImage(logo, width - POSTER_MARGIN - POSTER_LOGO_SIZE, footerTop, POSTER_LOGO_SIZE, POSTER_LOGO_SIZE);
+  }
+
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Download the poster as a PNG file
+ * The small-multiples grid image already carries its title and legend, so it is downloaded instead
+ * @param {string|null} presetId - Size preset id, or null for the on-screen size
+ * @param {string} format - Format logged in analytics: 'poster' from the Export menu, 'png' from "Download PNG"
+ */
+async function downloadPosterPNG(presetId = null, format = 'poster') {
+  try {
+    if (window.SmallMultiples.getSmallMultiplesData()) {
+      await window.ExportShare.downloadChartPNG();
+      return;
+    }
+
+    const chartData = window.ChartRenderer.getCurrentChartData();
+    if (!chartData) {
+      alert('No chart available to download');
+      return;
+    }
+
+    const imageData = window.ExportShare.addPngTextMetadata(await generatePosterImage({ preset: presetId }),
+      window.ExportShare.buildExportMetadata(chartData));
+    const filename = `${window.ExportShare.buildExportBaseName(chartData)}_${presetId || 'poster'}.png`;
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = imageData;
+    link.click();
+
+    if (window.Analytics && supabase) {
+      window.Analytics.trackAnalytics(supabase, 'scatter_chart_downloaded', {
+        year: chartData.year,
+        pollutant: chartData.pollutantName,
+        group_count: chartData.groupIds.length,
+        dataset_edition: chartData.datasetEdition,
+        format: format,
+        preset: presetId || 'screen',
+        filename: filename
+      });
+    }
+  } catch (error) {
+    console.error('Failed to download poster:', error);
+    alert('Failed to download poster: ' + error.message);
+  }
+}
+
+// Export poster functions
+window.PosterExport = {
+  POSTER_PRESETS,
+  getPosterPreset,
+  generatePosterImage,
+  downloadPosterPNG
+};
@@ -0,0 +1,168 @@
+/**
+ * Emission Intensity Ranking Module
+ * Sortable table under the chart ranking the plotted groups by emission
+ * intensity (pollutant emitted per unit of activity)
+ */
+
+const RANKING_COLUMNS = [
+  { key: 'groupName', label: 'Group', numeric: false },
+  { key: 'emissionIntensity', label: 'Emission intensity', numeric: true },
+  { key: 'pollutantValue', label: 'Emissions', numeric: true },
+  { key: 'activityData', label: 'Activity Data', numeric: true }
+];
+
+let rankingSort = { key: 'emissionIntensity', descending: true };
+let rankingContent = null; // Last {dataPoints, context} rendered, for re-sorting
+
+/**
+ * Sort ranking rows by the current sort column; missing values always go last
+ * @param {Array} dataPoints - Points from supabaseModule.getScatterData
+ * @returns {Array} Sorted copy
+ */
+function sortRankingRows(dataPoints) {
+  const { key, descending } = rankingSort;
+  return [...dataPoints].sort((a, b) => {
+    const aValue = a[key];
+    const bValue = b[key];
+    const aMissing = aValue === null || aValue === undefined;
+    const bMissing = bValue === null || bValue === undefined;
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+
+    const order = typeof aValue === 'string' ? aValue.localeCompare(bValue) : aValue - bValue;
+    return descending ? -order : order;
+  });
+}
+
+/**
+ * Format a ranking cell
+ * @param {Object} column - Entry from RANKING_COLUMNS
+ * @param {Object} point - Data point
+ * @returns {string} Cell text
+ */
+function formatRankingCell(column, point) {
+  const value = point[column.key];
+  if (column.key === 'emissionIntensity') return window.ChartRenderer.formatIntensity(value);
+  if (!column.numeric) return value;
+  return value.toLocaleString(undefined, { maximumFractionDigits: 3 });
+}
+
+/**
+ * Render the ranking panel
+ * @param {Array} dataPoints - Points from supabaseModule.getScatterData
+ * @param {Object} context - Labels for the table
+ * @param {number} context.year - Year ranked
+ * @param {string} context.pollutantName - Pollutant name
+ * @param {Object} context.units - {pollutant, activity, intensity} unit labels
+ */
+function renderRankingPanel(dataPoints, context) {
+  const panel = document.getElementById('intensityRanking');
+  if (!panel) {
+    console.error('Missing #intensityRanking element');
+    return;
+  }
+
+  if (!dataPoints || dataPoints.length === 0) {
+    hideRankingPanel();
+    return;
+  }
+
+  rankingContent = { dataPoints, context };
+  panel.innerHTML = '';
+  panel.style.display = 'block';
+
+  const heading = document.createElement('h3');
+  heading.textContent = `${context.pollutantName} emission intensity ranking, ${context.year}`;
+  panel.appendChild(heading);
+
+  const table = document.createElement('table');
+  table.className = 'ranking-table';
+
+  const unitFor = {
+    emissionIntensity: context.units.intensity,
+    pollutantValue: context.units.pollutant,
+    activityData: context.units.activity
+  };
+
+  // Header row; clicking a column sorts by it, clicking again reverses
+  const headerRow = document.createElement('tr');
+  const rankHeader = document.createElement('th');
+  rankHeader.textContent = 'Rank';
+  headerRow.appendChild(rankHeader);
+
+  RANKING_COLUMNS.forEach(column => {
+    const th = document.createElement('th');
+    const sorted = rankingSort.key === column.key;
+    th.className = 'sortable' + (column.numeric ? ' numeric' : '');
+    th.tabIndex = 0;
+    th.setAttribute('aria-sort', sorted ? (rankingSort.descending ? 'descending' : 'ascending') : 'none');
+    th.textContent = column.label + (unitFor[column.key] ? ` (${unitFor[column.key]})` : '');
+    if (sorted) {
+      th.textContent += rankingSort.descending ? ' ▼' : ' ▲';
+    }
+
+    const sortByColumn = () => {
+      rankingSort = sorted
+        ? { key: column.key, descending: !rankingSort.descending }
+        : { key: column.key, descending: column.numeric };
+      renderRankingPanel(rankingContent.dataPoints, rankingContent.context);
+    };
+    th.addEventListener('click', sortByColumn);
+    th.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        sortByColumn();
+      }
+    });
+
+    headerRow.appendChild(th);
+  });
+
+  const thead = document.createElement('thead');
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  sortRankingRows(dataPoints).forEach((point, index) => {
+    const row = document.createElement('tr');
+
+    const rankCell = document.createElement('td');
+    rankCell.textContent = index + 1;
+    row.appendChild(rankCell);
+
+    RANKING_COLUMNS.forEach(column => {
+      const td = document.createElement('td');
+      if (column.numeric) td.className = 'numeric';
+
+      if (column.key === 'groupName') {
+        const swatch = document.createElement('span');
+        swatch.className = 'ranking-swatch';
+        swatch.style.backgroundColor = window.Colors.getColorForGroup(point.groupName);
+        td.appendChild(swatch);
+      }
+      td.appendChild(document.createTextNode(formatRankingCell(column, point)));
+      row.appendChild(td);
+    });
+
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  panel.appendChild(table);
+}
+
+/**
+ * Hide the ranking panel
+ */
+function hideRankingPanel() {
+  const panel = document.getElementById('intensityRanking');
+  if (panel) {
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+  }
+  rankingContent = null;
+}
+
+// Export ranking panel functions
+window.RankingPanel = {
+  renderRankingPanel,
+  hideRankingPanel
+};
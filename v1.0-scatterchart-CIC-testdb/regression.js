@@ -0,0 +1,114 @@
+/**
+ * Regression Module
+ * Ordinary least squares fits for the trend-line overlay, in linear space
+ * (y = a + b·x) or log-log space (ln y = a + b·ln x, where b is the
+ * elasticity of y with respect to x)
+ */
+
+const REGRESSION_MODELS = {
+  linear: 'linear',
+  loglog: 'loglog'
+};
+
+/**
+ * Ordinary least squares fit of y on x
+ * @param {Array<number>} xs - Predictor values
+ * @param {Array<number>} ys - Response values (same length)
+ * @returns {Object|null} {slope, intercept, rSquared, n}, or null with fewer than two distinct x values
+ */
+function fitOrdinaryLeastSquares(xs, ys) {
+  const n = xs.length;
+  if (n < 2 || ys.length !== n) return null;
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  }
+
+  if (sxx === 0) return null; // All x values equal: no unique slope
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  // R² is 1 when y does not vary at all (the flat line fits exactly)
+  const rSquared = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+
+  return { slope, intercept, rSquared, n };
+}
+
+/**
+ * Fit a trend through points in linear or log-log space
+ * @param {Array<Object>} points - [{x, y}]
+ * @param {string} model - 'linear' or 'loglog'
+ * @returns {Object|null} {model, slope, intercept, rSquared, n, excluded, xMin, xMax}, or null if too few usable points
+ */
+function fitTrend(points, model) {
+  const isLogLog = model === REGRESSION_MODELS.loglog;
+
+  // Logs need positive values; anything else is left out of the fit
+  const usable = points.filter(p => isFinite(p.x) && isFinite(p.y) && (!isLogLog || (p.x > 0 && p.y > 0)));
+  const transform = isLogLog ? Math.log : v => v;
+
+  const fit = fitOrdinaryLeastSquares(usable.map(p => transform(p.x)), usable.map(p => transform(p.y)));
+  if (!fit) return null;
+
+  const xs = usable.map(p => p.x);
+  return {
+    model: isLogLog ? REGRESSION_MODELS.loglog : REGRESSION_MODELS.linear,
+    ...fit,
+    excluded: points.length - usable.length,
+    xMin: Math.min(...xs),
+    xMax: Math.max(...xs)
+  };
+}
+
+/**
+ * Predicted y for an x value
+ * @param {Object} fit - Result of fitTrend
+ * @param {number} x - x value
+ * @returns {number} Predicted y (NaN when x is outside a log-log fit's domain)
+ */
+function predictTrend(fit, x) {
+  if (fit.model === REGRESSION_MODELS.loglog) {
+    return x > 0 ? Math.exp(fit.intercept) * Math.pow(x, fit.slope) : NaN;
+  }
+  return fit.intercept + fit.slope * x;
+}
+
+/**
+ * Sample the fitted curve across its x range, for drawing
+ * Log-log fits are sampled geometrically so the curve stays smooth on linear axes
+ * @param {Object} fit - Result of fitTrend
+ * @param {number} count - Number of samples
+ * @returns {Array<Object>} [{x, y}]
+ */
+function sampleTrend(fit, count = 60) {
+  const samples = [];
+  const geometric = fit.model === REGRESSION_MODELS.loglog && fit.xMin > 0;
+
+  for (let i = 0; i < count; i++) {
+    const t = count === 1 ? 0 : i / (count - 1);
+    const x = geometric
+      ? Math.exp(Math.log(fit.xMin) + t * (Math.log(fit.xMax) - Math.log(fit.xMin)))
+      : fit.xMin + t * (fit.xMax - fit.xMin);
+    samples.push({ x, y: predictTrend(fit, x) });
+  }
+  return samples;
+}
+
+// Export regression functions
+window.Regression = {
+  REGRESSION_MODELS,
+  fitOrdinaryLeastSquares,
+  fitTrend,
+  predictTrend,
+  sampleTrend
+};
@@ -0,0 +1,352 @@
+/**
+ * Small Multiples Module
+ * Grid of scatter panels for the same year and groups, one per pollutant,
+ * with shared group colours, a single legend and a common x-axis range.
+ * Clicking a panel opens that pollutant in the main chart.
+ */
+
+const SMALL_MULTIPLES_DEFAULT_POLLUTANTS = ['PM2.5', 'PM10', 'NOx', 'SO2', 'NH3'];
+const SMALL_MULTIPLES_MAX_PANELS = 9;
+const SMALL_MULTIPLES_PANEL_HEIGHT = 320;
+const SMALL_MULTIPLES_POINT_SIZE = 6;
+
+let smallMultiplesCharts = []; // Google chart instances, one per panel
+let smallMultiplesGrid = null; // What the grid shows, for export
+
+/**
+ * Default panel pollutants: the common air quality pollutants present in the data
+ * @returns {Array<number>} Pollutant IDs
+ */
+function getDefaultMultiplesPollutants() {
+  const normalise = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const pollutants = window.supabaseModule.allPollutants || [];
+  return SMALL_MULTIPLES_DEFAULT_POLLUTANTS
+    .map(name => pollutants.find(p => normalise(p.pollutant) === normalise(name)))
+    .filter(p => p && p.id !== window.supabaseModule.activityDataId)
+    .map(p => p.id);
+}
+
+/**
+ * Gather one panel's points and labels
+ * @param {number} year - Year
+ * @param {number} pollutantId - Panel pollutant
+ * @param {Array<number>} groupIds - Groups
+ * @param {Object} settings - {xPollutantId, yMetric, axisScales, units}
+ * @returns {Object} Panel description (points already filtered for log axes)
+ */
+function buildMultiplesPanel(year, pollutantId, groupIds, settings) {
+  const points = window.supabaseModule.getScatterData(year, pollutantId, groupIds,
+    window.supabaseModule.datasetEdition, settings.xPollutantId);
+  const yOf = point => settings.yMetric === 'intensity' ? point.emissionIntensity : point.pollutantValue;
+  const plotted = points.filter(point => {
+    const y = yOf(point);
+    return y !== null && (settings.axisScales.x !== 'log' || point.xValue > 0) &&
+      (settings.axisScales.y !== 'log' || y > 0);
+  });
+
+  const name = window.supabaseModule.getPollutantName(pollutantId);
+  const units = {
+    ...settings.units,
+    pollutant: window.supabaseModule.getPollutantUnit(pollutantId),
+    intensity: window.supabaseModule.getEmissionIntensityUnit(pollutantId)
+  };
+  const unit = settings.yMetric === 'intensity' ? units.intensity : units.pollutant;
+
+  // Groups with no value, or none that fits a log axis
+  const missing = groupIds.length - plotted.length;
+  return {
+    pollutantId: pollutantId,
+    pollutantName: name,
+    title: unit ? `${name} - ${unit}` : name,
+    points: plotted.map(point => ({ ...point, y: yOf(point) })),
+    units: units,
+    note: missing > 0 ? `${missing} group${missing === 1 ? '' : 's'} without data` : ''
+  };
+}
+
+/**
+ * Build the DataTable and options for a panel
+ * @param {Object} panel - Panel from the current grid
+ * @param {number} scale - Size multiplier (1 on screen, larger for export)
+ * @returns {Object} {data, options}
+ */
+function buildMultiplesChart(panel, scale = 1) {
+  const grid = smallMultiplesGrid;
+  const data = new google.visualization.DataTable();
+  data.addColumn('number', grid.xTitle);
+  data.addColumn('number', panel.title);
+  data.addColumn({ type: 'string', role: 'tooltip' });
+  data.addColumn({ type: 'string', role: 'style' });
+
+  panel.points.forEach(point => {
+    const color = window.Colors.getColorForGroup(point.groupName);
+    data.addRow([
+      point.xValue,
+      point.y,
+      `${point.groupName}\n${window.ChartRenderer.formatPointValues(point, panel.units)}`,
+      `point {fill-color: ${color}; size: ${SMALL_MULTIPLES_POINT_SIZE * scale};}`
+    ]);
+  });
+
+  const options = {
+    legend: { position: 'none' },
+    title: panel.pollutantName,
+    titleTextStyle: { fontSize: 14 * scale, bold: true },
+    fontSize: 11 * scale,
+    chartArea: { top: 36 * scale, bottom: 44 * scale, left: 72 * scale, right: 16 * scale },
+    height: SMALL_MULTIPLES_PANEL_HEIGHT * scale,
+    hAxis: {
+      title: grid.xTitle,
+      minValue: 0,
+      format: 'short',
+      gridlines: { count: 4 },
+      titleTextStyle: { italic: false }
+    },
+    vAxis: {
+      title: panel.title,
+      minValue: 0,
+      format: 'short',
+      titleTextStyle: { italic: false }
+    }
+  };
+
+  // Every panel shares the x variable, so give them the same x range
+  window.ChartRenderer.applyAxisScale(options.hAxis, grid.axisScales.x, grid.xRange);
+  window.ChartRenderer.applyAxisScale(options.vAxis, grid.axisScales.y, null);
+  return { data, options };
+}
+
+/**
+ * Draw the grid in place of the main chart
+ * @param {number} year - Year
+ * @param {Array<number>} pollutantIds - One panel per pollutant, in order
+ * @param {Array<number>} groupIds - Groups plotted in every panel
+ * @param {Object} options - Grid options
+ * @param {number} options.xPollutantId - Pollutant on the x-axis (defaults to Activity Data)
+ * @param {string} options.yMetric - 'emissions' (default) or 'intensity'
+ * @param {Object} options.axisScales - {x, y}, each 'linear' (default) or 'log'
+ * @param {number} options.activePollutantId - Pollutant shown in the main chart (highlighted)
+ * @param {Function} options.onSelect - Called with a panel's pollutant ID when it is clicked
+ */
+function drawSmallMultiples(year, pollutantIds, groupIds, options = {}) {
+  const container = document.getElementById('smallMultiplesGrid');
+  if (!container) {
+    console.error('Missing #smallMultiplesGrid element');
+    return;
+  }
+
+  const xPollutantId = options.xPollutantId || window.supabaseModule.activityDataId;
+  const xIsActivity = xPollutantId === window.supabaseModule.activityDataId;
+  const yMetric = options.yMetric === 'intensity' ? 'intensity' : 'emissions';
+  const axisScales = { x: 'linear', y: 'linear', ...(options.axisScales || {}) };
+  const xName = xIsActivity ? null : window.supabaseModule.getPollutantName(xPollutantId);
+  const activityUnit = window.supabaseModule.getPollutantUnit(window.supabaseModule.activityDataId) || 'TJ';
+  const units = {
+    activity: activityUnit,
+    x: xIsActivity ? activityUnit : window.supabaseModule.getPollutantUnit(xPollutantId),
+    xName: xName
+  };
+
+  const panels = pollutantIds.map(id => buildMultiplesPanel(year, id, groupIds, { xPollutantId, yMetric, axisScales, units }));
+
+  // Common x range across panels
+  const xValues = panels.flatMap(panel => panel.points.map(point => point.xValue));
+  const positiveX = xValues.filter(value => value > 0);
+  const xMax = xValues.length > 0 ? Math.max(...xValues) : 0;
+  const xRange = xMax > 0
+    ? { max: xMax * 1.05, positiveMin: positiveX.length > 0 ? Math.min(...positiveX) : null }
+    : null;
+
+  const xLabel = xName || 'Activity Data';
+  smallMultiplesGrid = {
+    year: year,
+    pollutantIds: pollutantIds,
+    groupIds: groupIds,
+    yMetric: yMetric,
+    xPollutantId: xPollutantId,
+    xName: xName,
+    xTitle: units.x ? `${xLabel} - ${units.x}` : xLabel,
+    axisScales: axisScales,
+    xRange: xRange,
+    datasetEdition: window.supabaseModule.datasetEdition,
+    heading: yMetric === 'intensity' ? `Emission intensity vs ${xLabel}` : `Emissions vs ${xLabel}`,
+    columns: panels.length <= 1 ? 1 : (panels.length <= 4 ? 2 : 3),
+    legend: [],
+    panels: panels
+  };
+
+  // One legend for the whole grid, in the order the groups were chosen
+  const seen = new Set();
+  groupIds.forEach(groupId => {
+    const point = panels.flatMap(panel => panel.points).find(p => p.groupId === groupId);
+    const groupName = point ? point.groupName : window.supabaseModule.getGroupName(groupId);
+    if (!groupName || seen.has(groupName)) return;
+    seen.add(groupName);
+    smallMultiplesGrid.legend.push({ groupName, color: window.Colors.getColorForGroup(groupName) });
+  });
+
+  // The grid replaces the main chart and its notices
+  document.getElementById('chart_div').style.display = 'none';
+  window.DataQuality.hideDataQualityNotice();
+  renderMultiplesTitle();
+  renderMultiplesLegend();
+
+  smallMultiplesCharts.forEach(chart => chart.clearChart());
+  smallMultiplesCharts = [];
+  container.innerHTML = '';
+  container.style.gridTemplateColumns = `repeat(${smallMultiplesGrid.columns}, minmax(0, 1fr))`;
+  container.style.display = 'grid';
+
+  panels.forEach(panel => {
+    const panelEl = document.createElement('div');
+    panelEl.className = 'small-multiples-panel';
+    if (panel.pollutantId === options.activePollutantId) {
+      panelEl.classList.add('active');
+    }
+    panelEl.setAttribute('role', 'button');
+    panelEl.tabIndex = 0;
+    panelEl.title = `Open ${panel.pollutantName} in the main chart`;
+    panelEl.setAttribute('aria-label', panelEl.title);
+
+    const chartEl = document.createElement('div');
+    chartEl.className = 'small-multiples-chart';
+    panelEl.appendChild(chartEl);
+
+    if (panel.note) {
+      const note = document.createElement('div');
+      note.className = 'small-multiples-note';
+      note.textContent = panel.note;
+      panelEl.appendChild(note);
+    }
+
+    const select = () => {
+      if (typeof options.onSelect === 'function') options.onSelect(panel.pollutantId);
+    };
+    panelEl.addEventListener('click', select);
+    panelEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        select();
+      }
+    });
+
+    container.appendChild(panelEl);
+
+    if (panel.points.length === 0) {
+      chartEl.classList.add('empty');
+      chartEl.textContent = `${panel.pollutantName}: no data for the selected groups`;
+      return;
+    }
+
+    const { data, options: chartOptions } = buildMultiplesChart(panel);
+    const chart = new google.visualization.ScatterChart(chartEl);
+    chart.draw(data, chartOptions);
+    smallMultiplesCharts.push(chart);
+  });
+
+  const chartWrapper = document.querySelector('.chart-wrapper');
+  if (chartWrapper) {
+    chartWrapper.classList.add('visible');
+  }
+  ['shareBtn', 'downloadBtn'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = false;
+  });
+  document.querySelectorAll('#exportMenu button').forEach(btn => {
+    btn.disabled = false;
+  });
+}
+
+/**
+ * Title above the grid: year, what is plotted, and dataset edition
+ */
+function renderMultiplesTitle() {
+  const titleEl = document.getElementById('chartTitle');
+  if (!titleEl) return;
+  titleEl.innerHTML = '';
+  titleEl.style.display = 'block';
+  titleEl.style.textAlign = 'center';
+  titleEl.style.marginBottom = '10px';
+
+  const yearEl = document.createElement('div');
+  yearEl.style.fontSize = '28px';
+  yearEl.style.fontWeight = 'bold';
+  yearEl.textContent = String(smallMultiplesGrid.year);
+
+  const headingEl = document.createElement('div');
+  headingEl.style.fontSize = '20px';
+  headingEl.textContent = smallMultiplesGrid.heading;
+
+  titleEl.appendChild(yearEl);
+  titleEl.appendChild(headingEl);
+
+  if (smallMultiplesGrid.datasetEdition) {
+    const editionEl = document.createElement('div');
+    editionEl.className = 'chart-title-edition';
+    editionEl.style.fontSize = '14px';
+    editionEl.textContent = `NAEI ${smallMultiplesGrid.datasetEdition} dataset`;
+    titleEl.appendChild(editionEl);
+  }
+}
+
+/**
+ * Single legend shared by every panel
+ */
+function renderMultiplesLegend() {
+  const legendContainer = document.getElementById('customLegend');
+  if (!legendContainer) return;
+  legendContainer.innerHTML = '';
+  legendContainer.style.display = 'flex';
+  legendContainer.style.justifyContent = 'center';
+
+  smallMultiplesGrid.legend.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'legend-item';
+    item.style.cursor = 'default';
+
+    const swatch = document.createElement('span');
+    swatch.style.backgroundColor = entry.color;
+    const label = document.createElement('span');
+    label.textContent = entry.groupName;
+
+    item.appendChild(swatch);
+    item.appendChild(label);
+    legendContainer.appendChild(item);
+  });
+}
+
+/**
+ * Remove the grid and show the main chart again
+ */
+function hideSmallMultiples() {
+  smallMultiplesCharts.forEach(chart => chart.clearChart());
+  smallMultiplesCharts = [];
+  smallMultiplesGrid = null;
+
+  const container = document.getElementById('smallMultiplesGrid');
+  if (container) {
+    container.innerHTML = '';
+    container.style.display = 'none';
+  }
+  const chartDiv = document.getElementById('chart_div');
+  if (chartDiv) {
+    chartDiv.style.display = '';
+  }
+}
+
+/**
+ * @returns {Object|null} The grid on screen (panels, legend, title parts), or null when hidden
+ */
+function getSmallMultiplesData() {
+  return smallMultiplesGrid;
+}
+
+// Export small multiples functions
+window.SmallMultiples = {
+  SMALL_MULTIPLES_MAX_PANELS,
+  getDefaultMultiplesPollutants,
+  drawSmallMultiples,
+  buildMultiplesChart,
+  hideSmallMultiples,
+  getSmallMultiplesData
+};
@@ -0,0 +1,180 @@
+/**
+ * Statement Templates Module
+ * A small template language for the comparison statement, so the wording can
+ * be authored without code changes, e.g.
+ *   "{high} emits {ratio}× more {pollutant} than {low}"
+ *
+ * Placeholders are {name} or {name:format}. Number formats:
+ *   {ratio:1}     fixed decimal places (0-6)
+ *   {ratio:sig2}  significant figures (1-6)
+ *   {ratio:pct}   as a percentage
+ *   {ratio:int}   rounded to a whole number
+ *   {value:short} compact (1.2K, 3.4M)
+ * Text formats: {group:upper}, {group:lower}
+ * Use {{ and }} for literal braces. Unknown placeholders are left as written;
+ * values that cannot be computed (e.g. division by zero) read "n/a".
+ */
+
+const STATEMENT_TEMPLATE_MAX_LENGTH = 300; // Keeps share URLs a sensible length
+const STATEMENT_MISSING_VALUE = 'n/a';
+
+// Built-in presets; 'auto' is the unit-aware sentence built by comparison.js
+const STATEMENT_PRESETS = [
+  { id: 'auto', label: 'Automatic (baseline comparison)', template: null },
+  { id: 'times-more', label: 'Times more emissions', template: '{high} emits {ratio}× more {pollutant} than {low}.' },
+  { id: 'per-unit', label: 'Per unit of activity', template: '{intensityHigh} emits {intensityRatio}× more {pollutant} per {activityUnit} than {intensityLow}.' },
+  { id: 'more-activity', label: 'Emissions vs activity', template: '{high} emits {ratio} times more {pollutant} than {low}. {low} provides {activityRatio} times more {activityNoun}.' },
+  { id: 'values', label: 'Absolute values', template: '{group}: {emissions:sig3} {pollutantUnit} of {pollutant} from {activity:short} {activityUnit} in {year}.' }
+];
+
+// Number variables and their default format when none is given
+const STATEMENT_NUMBER_DEFAULTS = {
+  ratio: 'ratio',
+  emissionsRatio: 'ratio',
+  activityRatio: 'ratio',
+  intensityRatio: 'ratio',
+  emissions: 'sig3',
+  baselineEmissions: 'sig3',
+  activity: 'sig3',
+  baselineActivity: 'sig3',
+  intensity: 'sig3',
+  baselineIntensity: 'sig3',
+  year: 'year'
+};
+
+/**
+ * Find a built-in preset
+ * @param {string} id - Preset id
+ * @returns {Object|null} Preset, or null if unknown
+ */
+function getStatementPreset(id) {
+  return STATEMENT_PRESETS.find(preset => preset.id === id) || null;
+}
+
+/**
+ * Divide guarding against zero, negative and missing values
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number|null} Quotient, or null when it is not meaningful
+ */
+function safeRatio(numerator, denominator) {
+  const valid = v => v !== null && v !== undefined && isFinite(v) && v >= 0;
+  if (!valid(numerator) || !valid(denominator) || denominator === 0) return null;
+  return numerator / denominator;
+}
+
+/**
+ * Variables available to a template when comparing one group with the baseline
+ * @param {Object} point - Compared group's data point
+ * @param {Object} baseline - Baseline group's data point
+ * @param {Object} context - {year, pollutantName, pollutantUnit, activityUnit, activityNoun}
+ * @returns {Object} Placeholder values keyed by name
+ */
+function buildStatementVariables(point, baseline, context) {
+  const [high, low] = point.pollutantValue >= baseline.pollutantValue ? [point, baseline] : [baseline, point];
+  const intensityOrder = (point.emissionIntensity ?? -Infinity) >= (baseline.emissionIntensity ?? -Infinity)
+    ? [point, baseline]
+    : [baseline, point];
+
+  return {
+    group: point.groupName,
+    baseline: baseline.groupName,
+    high: high.groupName,
+    low: low.groupName,
+    intensityHigh: intensityOrder[0].groupName,
+    intensityLow: intensityOrder[1].groupName,
+    pollutant: context.pollutantName,
+    pollutantUnit: context.pollutantUnit,
+    activityUnit: context.activityUnit,
+    activityNoun: context.activityNoun,
+    year: context.year,
+    emissions: point.pollutantValue,
+    baselineEmissions: baseline.pollutantValue,
+    activity: point.activityData,
+    baselineActivity: baseline.activityData,
+    intensity: point.emissionIntensity,
+    baselineIntensity: baseline.emissionIntensity,
+    ratio: safeRatio(high.pollutantValue, low.pollutantValue),
+    emissionsRatio: safeRatio(point.pollutantValue, baseline.pollutantValue),
+    activityRatio: safeRatio(low.activityData, high.activityData),
+    intensityRatio: safeRatio(intensityOrder[0].emissionIntensity, intensityOrder[1].emissionIntensity)
+  };
+}
+
+/**
+ * Format a number placeholder
+ * @param {number|null} value - Value
+ * @param {string} format - Format option (see module header)
+ * @returns {string} Formatted value
+ */
+function formatStatementNumber(value, format) {
+  if (value === null || value === undefined || !isFinite(value)) return STATEMENT_MISSING_VALUE;
+
+  if (format === 'year') return String(value);
+  if (format === 'ratio') {
+    return value >= 10
+      ? Math.round(value).toLocaleString()
+      : value.toLocaleString(undefined, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  }
+  if (format === 'int') return Math.round(value).toLocaleString();
+  if (format === 'pct') return `${(value * 100).toLocaleString(undefined, { maximumFractionDigits: 0 })}%`;
+  if (format === 'short') {
+    return value.toLocaleString(undefined, { notation: 'compact', maximumSignificantDigits: 3 });
+  }
+
+  const sig = /^sig([1-6])$/.exec(format);
+  if (sig) return value.toLocaleString(undefined, { maximumSignificantDigits: parseInt(sig[1]) });
+
+  if (/^[0-6]$/.test(format)) {
+    const digits = parseInt(format);
+    return value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  }
+
+  console.warn(`Unknown number format "${format}" in statement template`);
+  return value.toLocaleString();
+}
+
+/**
+ * Fill a template's placeholders
+ * @param {string} template - Template text
+ * @param {Object} variables - Values from buildStatementVariables
+ * @returns {string} Statement
+ */
+function renderStatementTemplate(template, variables) {
+  return template.replace(/\{\{|\}\}|\{(\w+)(?::([\w]+))?\}/g, (match, name, format) => {
+    if (match === '{{') return '{';
+    if (match === '}}') return '}';
+    // Own properties only, so {constructor} or {toString} stay literal
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) return match;
+
+    const value = variables[name];
+    if (Object.prototype.hasOwnProperty.call(STATEMENT_NUMBER_DEFAULTS, name)) {
+      const defaultFormat = STATEMENT_NUMBER_DEFAULTS[name];
+      // Years are never grouped or given decimals, whatever the format option
+      return formatStatementNumber(value, defaultFormat === 'year' ? 'year' : format || defaultFormat);
+    }
+
+    const text = value === null || value === undefined || value === '' ? STATEMENT_MISSING_VALUE : String(value);
+    if (format === 'upper') return text.toUpperCase();
+    if (format === 'lower') return text.toLowerCase();
+    return text;
+  });
+}
+
+/**
+ * Trim a user-authored template to a storable length
+ * @param {string} template - Template text
+ * @returns {string} Sanitised template
+ */
+function sanitiseStatementTemplate(template) {
+  return (template || '').replace(/[\r\n]+/g, ' ').slice(0, STATEMENT_TEMPLATE_MAX_LENGTH);
+}
+
+// Export statement template functions
+window.StatementTemplates = {
+  STATEMENT_PRESETS,
+  getStatementPreset,
+  buildStatementVariables,
+  renderStatementTemplate,
+  sanitiseStatementTemplate
+};
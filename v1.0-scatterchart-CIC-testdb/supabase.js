@@ -31,6 +31,20 @@ let allGroups = [];
 let pollutantsData = []; // Store raw pollutant data for ID lookups
 let groupsData = []; // Store raw group data for ID lookups
 let activityDataId = null;
+let currentDataSource = { type: 'supabase', dataset: null, edition: null };
+let currentEdition = null; // NAEI dataset edition of globalRows, null for local datasets
+let dataRetrievedAt = null; // ISO time globalRows were fetched from their source (not when a persisted copy was read)
+let sharedLoaderSubscribed = false;
+let pageLoadTracked = false;
+
+// Lookup indexes built once per load (see buildDataIndexes)
+let rowIndex = new Map(); // "pollutantId|groupId" -> timeseries row
+let pollutantById = new Map();
+let groupById = new Map();
+let groupIdByTitle = new Map();
+let editionRowIndexes = new Map(); // comparison edition -> row index (see loadComparisonEdition)
+
+const DATA_QUALITY_JUMP_RATIO = 3; // Year-over-year change (×3 or ÷3) flagged as a possible outlier
 
 /**
  * Track analytics events to Supabase (wrapper for shared Analytics module)
@@ -45,18 +59,150 @@ async function trackAnalytics(eventName, details = {}) {
   }
 }
 
+/**
+ * Build a lookup key for the (pollutant, group) row index
+ * @param {number} pollutantId - Pollutant ID
+ * @param {number} groupId - Group ID
+ * @returns {string} Index key
+ */
+function rowKey(pollutantId, groupId) {
+  return `${pollutantId}|${groupId}`;
+}
+
+/**
+ * Build id-keyed maps and the (pollutant, group) -> row index so lookups
+ * during chart drawing are constant time instead of scanning every row
+ * @param {Array} pollutants - Pollutant rows
+ * @param {Array} groups - Group rows
+ * @param {Array} rows - Timeseries rows
+ */
+function buildDataIndexes(pollutants, groups, rows) {
+  pollutantById = new Map();
+  pollutants.forEach(p => pollutantById.set(p.id, p));
+
+  groupById = new Map();
+  groupIdByTitle = new Map();
+  groups.forEach(g => {
+    groupById.set(g.id, g);
+    if (g.group_title && !groupIdByTitle.has(g.group_title)) {
+      groupIdByTitle.set(g.group_title, g.id);
+    }
+  });
+
+  rowIndex = buildRowIndex(rows);
+}
+
+/**
+ * Build a (pollutant, group) -> row index for a set of timeseries rows
+ * Keeps the first row for each pair, matching the previous find() behaviour
+ * @param {Array} rows - Timeseries rows
+ * @returns {Map} Row index
+ */
+function buildRowIndex(rows) {
+  const index = new Map();
+  rows.forEach(row => {
+    const key = rowKey(row.pollutant_id, row.group_id);
+    if (!index.has(key)) {
+      index.set(key, row);
+    }
+  });
+  return index;
+}
+
+/**
+ * Store loaded tables and derive the lookups other modules rely on
+ * @param {Array} pollutants - Pollutant rows
+ * @param {Array} groups - Group rows
+ * @param {Array} rows - Timeseries rows
+ * @param {number} retrievedAt - When the rows were fetched from their source (ms since epoch; defaults to now)
+ */
+function applyLoadedData(pollutants, groups, rows, retrievedAt) {
+  // Store globally for URL parameter lookups
+  window.allPollutantsData = pollutants;
+  window.allGroupsData = groups;
+
+  // Build pollutant units map
+  pollutantUnits = {};
+  pollutants.forEach(p => {
+    if (p.pollutant && p["emission unit"]) {
+      pollutantUnits[p.pollutant] = p["emission unit"];
+    }
+  });
+
+  // Find Activity Data pollutant ID
+  const activityDataPollutant = pollutants.find(p => 
+    p.pollutant && p.pollutant.toLowerCase() === 'activity data'
+  );
+  
+  if (activityDataPollutant) {
+    activityDataId = activityDataPollutant.id;
+    console.log("Activity Data pollutant ID:", activityDataId);
+  } else {
+    console.warn("Activity Data not found in pollutants list");
+  }
+
+  // Store data globally for access by other modules
+  allPollutants = pollutants;
+  allGroups = groups;
+  globalRows = rows;
+  pollutantsData = pollutants;
+  groupsData = groups;
+  buildDataIndexes(pollutants, groups, rows);
+  dataRetrievedAt = new Date(retrievedAt || Date.now()).toISOString();
+
+  // Get available years from data columns
+  if (rows.length > 0) {
+    const sample = rows[0];
+    const headers = Object.keys(sample).filter(k => /^f\d{4}$/.test(k)).sort((a,b)=> +a.slice(1) - +b.slice(1));
+    globalHeaders = headers;
+    window.globalHeaders = headers;
+    window.globalYears = headers.map(h => h.slice(1));
+    window.globalYearKeys = headers;
+  }
+
+  // Build groups list for dropdowns
+  allGroupsList = groups.map(g => ({
+    id: g.id,
+    name: g.group_title || `Group ${g.id}`
+  })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Subscribe to background refreshes of the shared loader's persisted cache
+ * so the chart picks up a newer dataset without a page reload
+ * @param {Object} sharedLoader - SharedDataLoader instance in use
+ */
+function subscribeToSharedUpdates(sharedLoader) {
+  if (sharedLoaderSubscribed || typeof sharedLoader.onDataUpdated !== 'function') return;
+  sharedLoaderSubscribed = true;
+
+  sharedLoader.onDataUpdated(data => {
+    if (currentDataSource.type === 'local') return;
+    if (typeof sharedLoader.getLoadedEdition === 'function' && sharedLoader.getLoadedEdition() !== currentEdition) return;
+    console.log("Shared data refreshed in background, updating scatter chart data");
+    applyLoadedData(data.pollutants, data.groups, data.timeseries, data.retrievedAt);
+    window.dispatchEvent(new CustomEvent('scatterDataUpdated'));
+  });
+}
+
 /**
  * Load all data from Supabase for scatter chart (using shared data loader)
+ * @param {Object} options - Load options
+ * @param {string} options.edition - NAEI dataset edition to load (defaults to URL/config selection)
+ * @param {Function} options.onProgress - Called with {table, loaded, total} while timeseries pages arrive
  */
-async function loadData() {
+async function loadData(options = {}) {
   console.log("Loading scatter chart data using shared data loader...");
 
   try {
-    // Track page load
-    await trackAnalytics('page_load', { 
-      page: 'scatter_chart',
-      timestamp: new Date().toISOString()
-    });
+    // Track page load (once - later calls are dataset edition switches)
+    if (!pageLoadTracked) {
+      pageLoadTracked = true;
+      await trackAnalytics('page_load', { 
+        page: 'scatter_chart',
+        timestamp: new Date().toISOString()
+      });
+    }
 
     // Check if parent window has shared data loader
     let sharedLoader = null;
@@ -73,26 +219,50 @@ async function loadData() {
     }
 
     let pollutants, groups, rows;
+    let retrievedAt = Date.now(); // Local and direct loads fetch now; the shared loader may serve a persisted copy
+
+    // Local fixture datasets bypass Supabase entirely (see data-sources.js)
+    if (window.DataSources) {
+      currentDataSource = window.DataSources.resolveDataSource();
+    }
+    if (currentDataSource.type === 'supabase') {
+      currentDataSource.edition = options.edition || currentDataSource.edition;
+      currentEdition = currentDataSource.edition;
+      console.log("Dataset edition:", currentEdition);
+    } else {
+      currentEdition = null;
+    }
+    const loadOptions = { ...options, edition: currentEdition };
 
-    if (sharedLoader && sharedLoader.isDataLoaded()) {
+    if (currentDataSource.type === 'local') {
+      console.log("Loading data from local dataset:", currentDataSource.dataset);
+      const result = await window.DataSources.loadLocalDataset(currentDataSource.dataset, loadOptions);
+      pollutants = result.pollutants;
+      groups = result.groups;
+      rows = result.rows;
+    } else if (sharedLoader && sharedLoader.isDataLoaded(currentEdition)) {
       // Use cached data from shared loader
       console.log("Using cached data from shared loader");
+      subscribeToSharedUpdates(sharedLoader);
       const cachedData = sharedLoader.getCachedData();
       pollutants = cachedData.pollutants;
       groups = cachedData.groups;
       rows = cachedData.timeseries;
+      retrievedAt = cachedData.retrievedAt;
     } else if (sharedLoader) {
       // Load data through shared loader
       console.log("Loading data through shared loader");
       try {
-        const sharedData = await sharedLoader.loadSharedData();
+        const sharedData = await sharedLoader.loadSharedData(loadOptions);
+        subscribeToSharedUpdates(sharedLoader);
         pollutants = sharedData.pollutants;
         groups = sharedData.groups;
         rows = sharedData.timeseries;
+        retrievedAt = sharedData.retrievedAt;
       } catch (error) {
         console.error("Failed to load through shared loader, falling back to direct loading:", error);
         // Fallback to direct loading
-        const result = await loadDataDirectly();
+        const result = await loadDataDirectly(loadOptions);
         pollutants = result.pollutants;
         groups = result.groups;
         rows = result.rows;
@@ -100,57 +270,13 @@ async function loadData() {
     } else {
       // Fallback to direct loading
       console.log("No shared loader available, loading data directly");
-      const result = await loadDataDirectly();
+      const result = await loadDataDirectly(loadOptions);
       pollutants = result.pollutants;
       groups = result.groups;
       rows = result.rows;
     }
     
-    // Store globally for URL parameter lookups
-    window.allPollutantsData = pollutants;
-    window.allGroupsData = groups;
-
-    // Build pollutant units map
-    pollutants.forEach(p => {
-      if (p.pollutant && p["emission unit"]) {
-        pollutantUnits[p.pollutant] = p["emission unit"];
-      }
-    });
-
-    // Find Activity Data pollutant ID
-    const activityDataPollutant = pollutants.find(p => 
-      p.pollutant && p.pollutant.toLowerCase() === 'activity data'
-    );
-    
-    if (activityDataPollutant) {
-      activityDataId = activityDataPollutant.id;
-      console.log("Activity Data pollutant ID:", activityDataId);
-    } else {
-      console.warn("Activity Data not found in pollutants list");
-    }
-
-    // Store data globally for access by other modules
-    allPollutants = pollutants;
-    allGroups = groups;
-    globalRows = rows;
-    pollutantsData = pollutants;
-    groupsData = groups;
-
-    // Get available years from data columns
-    if (rows.length > 0) {
-      const sample = rows[0];
-      const headers = Object.keys(sample).filter(k => /^f\d{4}$/.test(k)).sort((a,b)=> +a.slice(1) - +b.slice(1));
-      globalHeaders = headers;
-      window.globalHeaders = headers;
-      window.globalYears = headers.map(h => h.slice(1));
-      window.globalYearKeys = headers;
-    }
-
-    // Build groups list for dropdowns
-    allGroupsList = groups.map(g => ({
-      id: g.id,
-      name: g.group_title || `Group ${g.id}`
-    })).sort((a, b) => a.name.localeCompare(b.name));
+    applyLoadedData(pollutants, groups, rows, retrievedAt);
 
     console.log(`Loaded ${pollutants.length} pollutants, ${groups.length} groups, ${rows.length} data rows`);
     
@@ -191,57 +317,299 @@ function getAvailableYears() {
   return yearColumns;
 }
 
+/**
+ * Emission intensity: pollutant emitted per unit of activity
+ * @param {number} pollutantValue - Pollutant emissions
+ * @param {number} activityData - Activity Data for the same group and year
+ * @returns {number|null} Intensity, or null when there is no activity to divide by
+ */
+function computeEmissionIntensity(pollutantValue, activityData) {
+  if (!activityData || !isFinite(activityData) || !isFinite(pollutantValue)) return null;
+  return pollutantValue / activityData;
+}
+
 /**
  * Get data for a specific year, pollutant, and groups
  * @param {number} year - Year to get data for
  * @param {number} pollutantId - Pollutant ID
  * @param {Array} groupIds - Array of group IDs
- * @returns {Array} Array of data points {group, activityData, pollutantValue}
+ * @param {string} edition - Dataset edition (defaults to the loaded edition; others need loadComparisonEdition first)
+ * @param {number} xPollutantId - Pollutant on the x-axis (defaults to Activity Data)
+ * @returns {Array} Array of data points {groupId, groupName, xValue, activityData, pollutantValue, emissionIntensity};
+ *   activityData (and so emissionIntensity) is null when the x-axis is another pollutant and the group has no activity value
  */
-function getScatterData(year, pollutantId, groupIds) {
-  const yearColumn = `f${year}`;
+function getScatterData(year, pollutantId, groupIds, edition = currentEdition, xPollutantId = activityDataId) {
   const dataPoints = [];
+  const index = edition === currentEdition ? rowIndex : editionRowIndexes.get(edition);
+
+  if (!index) {
+    console.warn(`Dataset edition ${edition} has not been loaded`);
+    return dataPoints;
+  }
 
   groupIds.forEach(groupId => {
-    // Get activity data for this group
-    const activityRow = globalRows.find(row => 
-      row.pollutant_id === activityDataId && row.group_id === groupId
-    );
-    
-    // Get pollutant data for this group
-    const pollutantRow = globalRows.find(row => 
-      row.pollutant_id === pollutantId && row.group_id === groupId
-    );
-
-    if (activityRow && pollutantRow) {
-      const activityValue = activityRow[yearColumn];
-      const pollutantValue = pollutantRow[yearColumn];
-      
-      // Only include if both values are valid numbers
-      if (activityValue != null && pollutantValue != null && 
-          !isNaN(activityValue) && !isNaN(pollutantValue)) {
-        
-        const group = allGroups.find(g => g.id === groupId);
-        dataPoints.push({
-          groupId: groupId,
-          groupName: group ? group.group_title : `Group ${groupId}`,
-          activityData: parseFloat(activityValue),
-          pollutantValue: parseFloat(pollutantValue)
-        });
-      }
+    const values = readYearValues(index, year, pollutantId, groupId, xPollutantId);
+
+    // Only include if both rows exist and both values are valid numbers
+    if (values.status === 'ok') {
+      dataPoints.push({
+        groupId: groupId,
+        groupName: getGroupName(groupId),
+        xValue: values.xValue,
+        activityData: values.activityData,
+        pollutantValue: values.pollutantValue,
+        emissionIntensity: computeEmissionIntensity(values.pollutantValue, values.activityData)
+      });
     }
   });
 
   return dataPoints;
 }
 
+/**
+ * Read one group's x-axis, Activity Data and pollutant values for a year
+ * @param {Map} index - Row index for a dataset edition
+ * @param {number} year - Year
+ * @param {number} pollutantId - Pollutant ID (y-axis)
+ * @param {number} groupId - Group ID
+ * @param {number} xPollutantId - Pollutant on the x-axis (defaults to Activity Data)
+ * @returns {Object} {status, xValue, activityData, pollutantValue} - status is 'ok', 'missing-activity-row',
+ *   'missing-x-row', 'missing-pollutant-row', 'null-activity-value', 'null-x-value' or 'null-pollutant-value'.
+ *   Activity Data is only required when it is on the x-axis; otherwise it is null if missing
+ */
+function readYearValues(index, year, pollutantId, groupId, xPollutantId = activityDataId) {
+  const yearColumn = `f${year}`;
+  const xIsActivity = xPollutantId === activityDataId;
+  const xRow = index.get(rowKey(xPollutantId, groupId));
+  const activityRow = xIsActivity ? xRow : index.get(rowKey(activityDataId, groupId));
+  const pollutantRow = index.get(rowKey(pollutantId, groupId));
+  const isValid = value => value != null && value !== '' && !isNaN(value);
+  const missing = status => ({ status, xValue: null, activityData: null, pollutantValue: null });
+
+  if (!xRow) return missing(xIsActivity ? 'missing-activity-row' : 'missing-x-row');
+  if (!pollutantRow) return missing('missing-pollutant-row');
+
+  const xValue = xRow[yearColumn];
+  const pollutantValue = pollutantRow[yearColumn];
+  if (!isValid(xValue)) return missing(xIsActivity ? 'null-activity-value' : 'null-x-value');
+  if (!isValid(pollutantValue)) return missing('null-pollutant-value');
+
+  const activityValue = activityRow ? activityRow[yearColumn] : null;
+  return {
+    status: 'ok',
+    xValue: parseFloat(xValue),
+    activityData: isValid(activityValue) ? parseFloat(activityValue) : null,
+    pollutantValue: parseFloat(pollutantValue)
+  };
+}
+
+/**
+ * Check the data behind a chart: which groups were left out and why, which have zero activity,
+ * and which values jump suspiciously from one year to the next
+ * @param {number} year - Year drawn (last year of a trajectory)
+ * @param {number} pollutantId - Pollutant ID
+ * @param {Array} groupIds - Array of group IDs
+ * @param {Object} options - Report options
+ * @param {number} options.startYear - First year of a trajectory (defaults to year)
+ * @param {number} options.jumpRatio - Flag year-over-year changes of at least this factor, up or down
+ * @param {number} options.xPollutantId - Pollutant on the x-axis (defaults to Activity Data)
+ * @returns {Object} {excluded: [{groupId, groupName, reason, years}], zeroActivity: [{groupId, groupName, years}],
+ *   jumps: [{groupId, groupName, series, fromYear, toYear, fromValue, toValue, ratio}]} - series is 'x' or 'pollutant'
+ */
+function getDataQualityReport(year, pollutantId, groupIds, options = {}) {
+  const startYear = options.startYear && options.startYear < year ? options.startYear : year;
+  const jumpRatio = options.jumpRatio || DATA_QUALITY_JUMP_RATIO;
+  const xPollutantId = options.xPollutantId || activityDataId;
+  const report = { excluded: [], zeroActivity: [], jumps: [] };
+
+  // Collect the years each problem affects so a trajectory reports one line per group and reason
+  const addYear = (list, match, year) => {
+    let entry = list.find(item => Object.keys(match).every(key => item[key] === match[key]));
+    if (!entry) {
+      entry = { ...match, groupName: getGroupName(match.groupId), years: [] };
+      list.push(entry);
+    }
+    entry.years.push(year);
+  };
+
+  groupIds.forEach(groupId => {
+    for (let y = startYear; y <= year; y++) {
+      const values = readYearValues(rowIndex, y, pollutantId, groupId, xPollutantId);
+      if (values.status !== 'ok') {
+        addYear(report.excluded, { groupId, reason: values.status }, y);
+        continue;
+      }
+      if (values.activityData === 0) {
+        addYear(report.zeroActivity, { groupId }, y);
+      }
+
+      // Compare with the previous year, when both are positive
+      const previous = readYearValues(rowIndex, y - 1, pollutantId, groupId, xPollutantId);
+      if (previous.status !== 'ok') continue;
+      [
+        { series: 'x', fromValue: previous.xValue, toValue: values.xValue },
+        { series: 'pollutant', fromValue: previous.pollutantValue, toValue: values.pollutantValue }
+      ].forEach(change => {
+        if (!(change.fromValue > 0 && change.toValue > 0)) return;
+        const ratio = change.toValue / change.fromValue;
+        if (ratio >= jumpRatio || ratio <= 1 / jumpRatio) {
+          report.jumps.push({
+            groupId,
+            groupName: getGroupName(groupId),
+            series: change.series,
+            fromYear: y - 1,
+            toYear: y,
+            fromValue: change.fromValue,
+            toValue: change.toValue,
+            ratio
+          });
+        }
+      });
+    }
+  });
+
+  return report;
+}
+
+/**
+ * Get each group's path through activity/pollutant space over a range of years
+ * @param {number} startYear - First year (inclusive)
+ * @param {number} endYear - Last year (inclusive)
+ * @param {number} pollutantId - Pollutant ID
+ * @param {Array} groupIds - Array of group IDs
+ * @param {number} xPollutantId - Pollutant on the x-axis (defaults to Activity Data)
+ * @returns {Array} [{groupId, groupName, points: [{year, xValue, activityData, pollutantValue, emissionIntensity}]}] in groupIds order;
+ *   years without valid values are skipped and groups with no points are left out
+ */
+function getTrajectoryData(startYear, endYear, pollutantId, groupIds, xPollutantId = activityDataId) {
+  const byGroup = new Map();
+
+  for (let year = startYear; year <= endYear; year++) {
+    getScatterData(year, pollutantId, groupIds, currentEdition, xPollutantId).forEach(point => {
+      if (!byGroup.has(point.groupId)) {
+        byGroup.set(point.groupId, { groupId: point.groupId, groupName: point.groupName, points: [] });
+      }
+      byGroup.get(point.groupId).points.push({
+        year: year,
+        xValue: point.xValue,
+        activityData: point.activityData,
+        pollutantValue: point.pollutantValue,
+        emissionIntensity: point.emissionIntensity
+      });
+    });
+  }
+
+  return groupIds.filter(groupId => byGroup.has(groupId)).map(groupId => byGroup.get(groupId));
+}
+
+/**
+ * Load another dataset edition's timeseries for revision comparison
+ * Pollutants and groups are shared between editions, so only the rows are fetched
+ * @param {string} edition - Dataset edition, e.g. '2024ds'
+ */
+async function loadComparisonEdition(edition) {
+  if (!edition || edition === currentEdition || editionRowIndexes.has(edition)) return;
+
+  const client = ensureInitialized();
+  if (!client) {
+    throw new Error('Supabase client not available');
+  }
+  if (!window.SupabasePaging) {
+    throw new Error('SupabasePaging not available');
+  }
+
+  console.log(`Loading comparison dataset edition ${edition}...`);
+  const rows = await window.SupabasePaging.fetchAllRows(client, getDatasetTable(edition), {
+    orderBy: ['pollutant_id', 'group_id']
+  });
+  editionRowIndexes.set(edition, buildRowIndex(rows));
+}
+
+/**
+ * Work out which of two editions is older, using the newest-first edition list
+ * @param {string} editionA - Dataset edition
+ * @param {string} editionB - Dataset edition
+ * @returns {Object} {older, newer}
+ */
+function orderEditions(editionA, editionB) {
+  const editions = window.SupabaseConfig ? window.SupabaseConfig.DATASET_EDITIONS : [];
+  const rankA = editions.indexOf(editionA);
+  const rankB = editions.indexOf(editionB);
+  // Higher index in the newest-first list means older
+  return rankA > rankB ? { older: editionA, newer: editionB } : { older: editionB, newer: editionA };
+}
+
+/**
+ * Describe the change between an older and newer value
+ * @param {number} olderValue - Value in the older edition
+ * @param {number} newerValue - Value in the newer edition
+ * @returns {Object} {absolute, percent} - percent is null when the older value is zero
+ */
+function describeRevision(olderValue, newerValue) {
+  const absolute = newerValue - olderValue;
+  const percent = olderValue !== 0 ? (absolute / Math.abs(olderValue)) * 100 : null;
+  return { absolute, percent };
+}
+
+/**
+ * Pair each group's point in the loaded edition with the same point in another edition
+ * @param {number} year - Year to compare
+ * @param {number} pollutantId - Pollutant ID
+ * @param {Array} groupIds - Array of group IDs
+ * @param {string} compareEdition - Edition to compare against (must be loaded)
+ * @param {number} xPollutantId - Pollutant on the x-axis (defaults to Activity Data)
+ * @returns {Array} [{groupId, groupName, older, newer, change}] for groups present in both editions;
+ *   change holds {xValue, pollutantValue} revisions
+ */
+function getRevisionData(year, pollutantId, groupIds, compareEdition, xPollutantId = activityDataId) {
+  const { older, newer } = orderEditions(currentEdition, compareEdition);
+  const olderPoints = getScatterData(year, pollutantId, groupIds, older, xPollutantId);
+  const newerPoints = getScatterData(year, pollutantId, groupIds, newer, xPollutantId);
+  const olderByGroup = new Map(olderPoints.map(point => [point.groupId, point]));
+
+  return newerPoints
+    .filter(point => olderByGroup.has(point.groupId))
+    .map(newerPoint => {
+      const olderPoint = olderByGroup.get(newerPoint.groupId);
+      return {
+        groupId: newerPoint.groupId,
+        groupName: newerPoint.groupName,
+        older: { edition: older, xValue: olderPoint.xValue, activityData: olderPoint.activityData, pollutantValue: olderPoint.pollutantValue, emissionIntensity: olderPoint.emissionIntensity },
+        newer: { edition: newer, xValue: newerPoint.xValue, activityData: newerPoint.activityData, pollutantValue: newerPoint.pollutantValue, emissionIntensity: newerPoint.emissionIntensity },
+        change: {
+          xValue: describeRevision(olderPoint.xValue, newerPoint.xValue),
+          pollutantValue: describeRevision(olderPoint.pollutantValue, newerPoint.pollutantValue)
+        }
+      };
+    });
+}
+
+/**
+ * Get the timeseries row for a pollutant and group
+ * @param {number} pollutantId - Pollutant ID
+ * @param {number} groupId - Group ID
+ * @returns {Object|null} Timeseries row, or null if there is none
+ */
+function getDataRow(pollutantId, groupId) {
+  return rowIndex.get(rowKey(pollutantId, groupId)) || null;
+}
+
+/**
+ * Get group ID by its title
+ * @param {string} title - Group title as shown in the selectors
+ * @returns {number|null} Group ID, or null if not found
+ */
+function getGroupIdByTitle(title) {
+  return groupIdByTitle.has(title) ? groupIdByTitle.get(title) : null;
+}
+
 /**
  * Get pollutant name by ID
  * @param {number} pollutantId - Pollutant ID
  * @returns {string} Pollutant name
  */
 function getPollutantName(pollutantId) {
-  const pollutant = allPollutants.find(p => p.id === pollutantId);
+  const pollutant = pollutantById.get(pollutantId);
   return pollutant ? pollutant.pollutant : `Pollutant ${pollutantId}`;
 }
 
@@ -251,12 +619,19 @@ function getPollutantName(pollutantId) {
  * @returns {string} Pollutant unit
  */
 function getPollutantUnit(pollutantId) {
-  console.log('Getting unit for pollutant ID:', pollutantId);
-  const pollutant = allPollutants.find(p => p.id === pollutantId);
-  console.log('Found pollutant:', pollutant);
-  const unit = pollutant?.emission_unit || '';
-  console.log('Returning unit:', unit);
-  return unit;
+  const pollutant = pollutantById.get(pollutantId);
+  return pollutant?.emission_unit || pollutant?.['emission unit'] || '';
+}
+
+/**
+ * Get the emission intensity unit, composed from the pollutant and Activity Data units
+ * @param {number} pollutantId - Pollutant ID
+ * @returns {string} Unit such as "kt/TJ"
+ */
+function getEmissionIntensityUnit(pollutantId) {
+  const pollutantUnit = getPollutantUnit(pollutantId);
+  const activityUnit = getPollutantUnit(activityDataId) || 'TJ';
+  return pollutantUnit ? `${pollutantUnit}/${activityUnit}` : `per ${activityUnit}`;
 }
 
 /**
@@ -265,7 +640,7 @@ function getPollutantUnit(pollutantId) {
  * @returns {string} Group name
  */
 function getGroupName(groupId) {
-  const group = allGroups.find(g => g.id === groupId);
+  const group = groupById.get(groupId);
   return group ? group.group_title : `Group ${groupId}`;
 }
 
@@ -276,7 +651,7 @@ function getGroupName(groupId) {
  */
 function loadGroupInfo(groupId) {
   // Find the group in our cached data
-  const group = groupsData.find(g => g.id === parseInt(groupId));
+  const group = groupById.get(parseInt(groupId));
   
   if (!group) {
     console.warn(`Group ${groupId} not found in data`);
@@ -291,32 +666,52 @@ function loadGroupInfo(groupId) {
   };
 }
 
+/**
+ * Get the timeseries table name for a dataset edition
+ * @param {string} edition - Dataset edition (defaults to the loaded edition)
+ * @returns {string|null} Table name, or null for local datasets
+ */
+function getDatasetTable(edition = currentEdition) {
+  if (!edition) return null;
+  return window.SupabaseConfig
+    ? window.SupabaseConfig.getTimeseriesTable(edition)
+    : `NAEI_${edition}_t_Group_Data`;
+}
+
 /**
  * Fallback function for direct data loading (when shared loader fails)
+ * The timeseries table is paged so rows past the server's row limit are not dropped
+ * @param {Object} options - Load options (see loadData)
  */
-async function loadDataDirectly() {
+async function loadDataDirectly(options = {}) {
   console.log("Fetching scatter chart data directly from Supabase...");
 
   const client = ensureInitialized();
   if (!client) {
     throw new Error('Supabase client not available');
   }
+  if (!window.SupabasePaging) {
+    throw new Error('SupabasePaging not available');
+  }
+  const edition = options.edition || currentEdition || window.SupabaseConfig.DEFAULT_DATASET_EDITION;
 
   // Fetch pollutants, groups, and the timeseries table separately
-  const [pollutantsResp, groupsResp, dataResp] = await Promise.all([
+  const [pollutantsResp, groupsResp, rows] = await Promise.all([
     client.from('NAEI_global_Pollutants').select('*'),
     client.from('NAEI_global_t_Group').select('*'),
-    client.from('NAEI_2023ds_t_Group_Data').select('*')
+    window.SupabasePaging.fetchAllRows(client, getDatasetTable(edition), {
+      orderBy: ['pollutant_id', 'group_id'],
+      onProgress: options.onProgress
+    })
   ]);
 
   if (pollutantsResp.error) throw pollutantsResp.error;
   if (groupsResp.error) throw groupsResp.error;
-  if (dataResp.error) throw dataResp.error;
 
   return {
     pollutants: pollutantsResp.data || [],
     groups: groupsResp.data || [],
-    rows: dataResp.data || []
+    rows: rows
   };
 }
 
@@ -330,13 +725,27 @@ try {
     trackAnalytics,
     getAvailableYears,
     getScatterData,
+    getTrajectoryData,
+    getDataQualityReport,
+    loadComparisonEdition,
+    getRevisionData,
     getPollutantName,
     getPollutantUnit,
+    getEmissionIntensityUnit,
     getGroupName,
+    getDataRow,
+    getGroupIdByTitle,
+    get pollutantById() { return pollutantById; },
+    get groupById() { return groupById; },
     get allPollutants() { return allPollutants; },
     get allGroups() { return allGroups; },
     get allGroupsList() { return allGroupsList; },
-    get activityDataId() { return activityDataId; }
+    get activityDataId() { return activityDataId; },
+    get dataSource() { return currentDataSource; },
+    get datasetEdition() { return currentEdition; },
+    get dataRetrievedAt() { return dataRetrievedAt; },
+    get availableEditions() { return window.SupabaseConfig ? window.SupabaseConfig.DATASET_EDITIONS : []; },
+    getDatasetTable
   };
   console.log('supabaseModule for scatter chart initialized successfully');
 } catch (error) {
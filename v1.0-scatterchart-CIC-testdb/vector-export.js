@@ -0,0 +1,426 @@
+/**
+ * Vector Export Module
+ * Serialises the chart's SVG (or every small-multiples panel) together with the
+ * title and legend into a standalone SVG file, and converts that SVG into a
+ * single-page PDF, so print and report layouts stay crisp at any size
+ */
+
+const VECTOR_SVG_NS = 'http://www.w3.org/2000/svg';
+const VECTOR_MARGIN = 24;
+const VECTOR_SWATCH = 12;
+const VECTOR_LEGEND_GAP = 20;
+const VECTOR_LEGEND_LINE_HEIGHT = 24;
+const VECTOR_FONT_FAMILY = 'Arial, sans-serif';
+const VECTOR_TEXT_PROPERTIES = ['font-family', 'font-size', 'font-weight', 'font-style', 'fill', 'fill-opacity'];
+const VECTOR_SHAPE_PROPERTIES = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'opacity'];
+const VECTOR_SHAPE_TAGS = ['rect', 'circle', 'ellipse', 'line', 'path', 'polyline', 'polygon'];
+const PDF_LIBRARY_SCRIPTS = [
+  'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js',
+  'https://cdn.jsdelivr.net/npm/svg2pdf.js@2.2.3/dist/svg2pdf.umd.min.js'
+];
+
+let pdfLibraryPromise = null; // jsPDF and svg2pdf are only fetched the first time a PDF is requested
+
+/**
+ * Copy the computed fonts and colours of an on-screen SVG onto its clone, so the
+ * file looks the same without the page's stylesheets
+ * @param {SVGElement} source - SVG in the document
+ * @param {SVGElement} clone - Deep clone of source
+ */
+function inlineSvgStyles(source, clone) {
+  const sourceNodes = [source, ...source.querySelectorAll('*')];
+  const cloneNodes = [clone, ...clone.querySelectorAll('*')];
+  sourceNodes.forEach((node, index) => {
+    const tag = node.tagName.toLowerCase();
+    const properties = tag === 'text' || tag === 'tspan' ? VECTOR_TEXT_PROPERTIES
+      : VECTOR_SHAPE_TAGS.includes(tag) ? VECTOR_SHAPE_PROPERTIES
+        : null;
+    if (!properties) return;
+    const style = getComputedStyle(node);
+    properties.forEach(property => {
+      const value = style.getPropertyValue(property);
+      if (value) cloneNodes[index].setAttribute(property, value);
+    });
+  });
+}
+
+/**
+ * Google Charts writes clip paths as url(<page address>#id), which breaks once the
+ * SVG leaves the page; rewrite them as plain url(#id)
+ * @param {SVGElement} root - Cloned SVG
+ */
+function localiseSvgReferences(root) {
+  [root, ...root.querySelectorAll('*')].forEach(node => {
+    Array.from(node.attributes).forEach(attribute => {
+      if (attribute.value.includes('url(')) {
+        node.setAttribute(attribute.name, attribute.value.replace(/url\((['"]?)[^#)'"]*#/g, 'url($1#'));
+      }
+    });
+  });
+}
+
+/**
+ * Clone a chart SVG from the page as a self-contained drawing
+ * @param {SVGElement} source - SVG in the document
+ * @returns {SVGElement} Clone with fonts and colours inlined and local clip-path references
+ */
+function cloneChartSvg(source) {
+  const clone = source.cloneNode(true);
+  inlineSvgStyles(source, clone);
+  localiseSvgReferences(clone);
+  return clone;
+}
+
+/**
+ * Draw the current chart offscreen at a given size and return its SVG
+ * Overlays are not included; paint them with ChartRenderer.paintOverlay using the layout
+ * @param {Object} chartData - Current chart data
+ * @param {number} width - Chart width in CSS pixels
+ * @param {number} height - Chart height in CSS pixels
+ * @returns {Promise<Object>} {svg, layout} - standalone SVG element and the chart's layout interface
+ */
+function renderOffscreenChartSvg(chartData, width, height) {
+  return new Promise((resolve, reject) => {
+    const tempDiv = document.createElement('div');
+    tempDiv.style.width = width + 'px';
+    tempDiv.style.height = height + 'px';
+    tempDiv.style.position = 'absolute';
+    tempDiv.style.left = '-99999px';
+    tempDiv.style.top = '-99999px';
+    document.body.appendChild(tempDiv);
+
+    const tempChart = new google.visualization[chartData.chartType || 'ScatterChart'](tempDiv);
+    const options = JSON.parse(JSON.stringify(chartData.options));
+    options.width = width;
+    options.height = height;
+    delete options.animation; // Capture final positions, not a playback transition
+
+    google.visualization.events.addListener(tempChart, 'ready', () => {
+      try {
+        const svg = cloneChartSvg(tempDiv.querySelector('svg'));
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        resolve({ svg: svg, layout: tempChart.getChartLayoutInterface() });
+      } catch (error) {
+        reject(error);
+      } finally {
+        document.body.removeChild(tempDiv);
+      }
+    });
+
+    try {
+      tempChart.draw(chartData.data, options);
+    } catch (error) {
+      document.body.removeChild(tempDiv);
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Read the lines of #chartTitle with their on-screen font size, weight and colour
+ * @returns {Array<Object>} [{text, fontSize, fontWeight, color}]
+ */
+function readVectorTitleLines() {
+  const titleEl = document.getElementById('chartTitle');
+  if (!titleEl) return [];
+  return Array.from(titleEl.children)
+    .filter(line => line.textContent.trim())
+    .map(line => {
+      const style = getComputedStyle(line);
+      return {
+        text: line.textContent,
+        fontSize: parseFloat(style.fontSize) || 14,
+        fontWeight: style.fontWeight,
+        color: style.color
+      };
+    });
+}
+
+/**
+ * Read the #customLegend entries: swatch colour (or ring for the revision key) and label
+ * @returns {Array<Object>} [{text, fill, stroke, fontSize, fontWeight, color}]
+ */
+function readVectorLegendEntries() {
+  return Array.from(document.querySelectorAll('#customLegend .legend-item')).map(item => {
+    const spans = item.querySelectorAll('span');
+    const swatchStyle = getComputedStyle(spans[0]);
+    const itemStyle = getComputedStyle(item);
+    const background = swatchStyle.backgroundColor;
+    const transparent = !background || background === 'transparent' || /rgba\(.*,\s*0\)$/.test(background);
+    return {
+      text: spans[spans.length - 1].textContent,
+      fill: transparent ? 'none' : background,
+      stroke: parseFloat(swatchStyle.borderTopWidth) > 0 ? swatchStyle.borderTopColor : null,
+      fontSize: parseFloat(itemStyle.fontSize) || 14,
+      fontWeight: itemStyle.fontWeight,
+      color: itemStyle.color
+    };
+  });
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - Element name
+ * @param {Object} attributes - Name -> value
+ * @returns {SVGElement} Element
+ */
+function createVectorElement(tag, attributes = {}) {
+  const element = document.createElementNS(VECTOR_SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+/**
+ * Build a standalone SVG of what is on screen: title, legend, then the chart
+ * (main chart with its overlays, or every small-multiples panel in place)
+ * @returns {SVGElement} Detached SVG element with width, height and viewBox set
+ */
+function buildChartSvg() {
+  const grid = window.SmallMultiples.getSmallMultiplesData();
+  const chartData = grid || window.ChartRenderer.getCurrentChartData();
+  const container = document.getElementById(grid ? 'smallMultiplesGrid' : 'chart_div');
+  if (!chartData || !container) {
+    throw new Error('No chart available to export');
+  }
+
+  const origin = container.getBoundingClientRect();
+  const sources = Array.from(container.querySelectorAll('svg'))
+    .filter(svg => !svg.parentElement.closest('svg') && svg.getBoundingClientRect().width > 0);
+  if (sources.length === 0) {
+    throw new Error('The chart has not been drawn as SVG yet');
+  }
+
+  const width = Math.ceil(origin.width) + 2 * VECTOR_MARGIN;
+  const titleLines = readVectorTitleLines();
+  const legend = readVectorLegendEntries();
+
+  // Wrap the legend into centred rows, measured with the same fonts as on screen
+  const measure = document.createElement('canvas').getContext('2d');
+  const legendRows = [[]];
+  let rowWidth = 0;
+  legend.forEach(entry => {
+    measure.font = `${entry.fontWeight} ${entry.fontSize}px ${VECTOR_FONT_FAMILY}`;
+    const itemWidth = VECTOR_SWATCH + 8 + measure.measureText(entry.text).width;
+    if (rowWidth > 0 && rowWidth + VECTOR_LEGEND_GAP + itemWidth > width - 2 * VECTOR_MARGIN) {
+      legendRows.push([]);
+      rowWidth = 0;
+    }
+    legendRows[legendRows.length - 1].push({ ...entry, width: itemWidth });
+    rowWidth += (rowWidth > 0 ? VECTOR_LEGEND_GAP : 0) + itemWidth;
+  });
+  const legendHeight = legend.length > 0 ? legendRows.length * VECTOR_LEGEND_LINE_HEIGHT + 8 : 0;
+  const titleHeight = titleLines.reduce((sum, line) => sum + Math.round(line.fontSize * 1.3), 0);
+  const bodyTop = VECTOR_MARGIN + titleHeight + 8 + legendHeight;
+  const height = Math.ceil(bodyTop + origin.height + VECTOR_MARGIN);
+
+  const svg = createVectorElement('svg', {
+    width: width,
+    height: height,
+    viewBox: `0 0 ${width} ${height}`
+  });
+
+  const metadata = grid
+    ? window.ExportShare.buildSmallMultiplesMetadata(grid)
+    : window.ExportShare.buildExportMetadata(chartData);
+  const title = createVectorElement('title');
+  title.textContent = metadata.Title;
+  const desc = createVectorElement('desc');
+  desc.textContent = Object.entries(metadata).map(([keyword, text]) => `${keyword}: ${text}`).join('\n');
+  svg.appendChild(title);
+  svg.appendChild(desc);
+  svg.appendChild(createVectorElement('rect', { x: 0, y: 0, width: width, height: height, fill: '#ffffff' }));
+
+  let y = VECTOR_MARGIN;
+  titleLines.forEach(line => {
+    const text = createVectorElement('text', {
+      x: width / 2,
+      y: y + line.fontSize,
+      'text-anchor': 'middle',
+      'font-family': VECTOR_FONT_FAMILY,
+      'font-size': line.fontSize,
+      'font-weight': line.fontWeight,
+      fill: line.color
+    });
+    text.textContent = line.text;
+    svg.appendChild(text);
+    y += Math.round(line.fontSize * 1.3);
+  });
+  y += 8;
+
+  if (legend.length > 0) {
+    legendRows.forEach(row => {
+      const total = row.reduce((sum, item) => sum + item.width, 0) + VECTOR_LEGEND_GAP * (row.length - 1);
+      let x = (width - total) / 2;
+      const middle = y + VECTOR_LEGEND_LINE_HEIGHT / 2;
+      row.forEach(item => {
+        svg.appendChild(createVectorElement('circle', {
+          cx: x + VECTOR_SWATCH / 2,
+          cy: middle,
+          r: item.stroke ? VECTOR_SWATCH / 2 - 1 : VECTOR_SWATCH / 2,
+          fill: item.fill,
+          stroke: item.stroke || 'none',
+          'stroke-width': item.stroke ? 2 : 0
+        }));
+        const text = createVectorElement('text', {
+          x: x + VECTOR_SWATCH + 8,
+          y: middle + item.fontSize * 0.35,
+          'font-family': VECTOR_FONT_FAMILY,
+          'font-size': item.fontSize,
+          'font-weight': item.fontWeight,
+          fill: item.color
+        });
+        text.textContent = item.text;
+        svg.appendChild(text);
+        x += item.width + VECTOR_LEGEND_GAP;
+      });
+      y += VECTOR_LEGEND_LINE_HEIGHT;
+    });
+  }
+
+  // Each chart SVG (and the overlay layer above it) keeps its on-screen offset
+  sources.forEach(source => {
+    const rect = source.getBoundingClientRect();
+    const clone = cloneChartSvg(source);
+    const group = createVectorElement('g', {
+      transform: `translate(${VECTOR_MARGIN + rect.left - origin.left}, ${bodyTop + rect.top - origin.top})`
+    });
+    while (clone.firstChild) group.appendChild(clone.firstChild);
+    svg.appendChild(group);
+  });
+
+  // Small-multiples notes and empty panels are HTML text
+  container.querySelectorAll('.small-multiples-note, .small-multiples-chart.empty').forEach(note => {
+    const rect = note.getBoundingClientRect();
+    const style = getComputedStyle(note);
+    const fontSize = parseFloat(style.fontSize) || 12;
+    const text = createVectorElement('text', {
+      x: VECTOR_MARGIN + rect.left - origin.left + rect.width / 2,
+      y: bodyTop + rect.top - origin.top + rect.height / 2 + fontSize * 0.35,
+      'text-anchor': 'middle',
+      'font-family': VECTOR_FONT_FAMILY,
+      'font-size': fontSize,
+      fill: style.color
+    });
+    text.textContent = note.textContent;
+    svg.appendChild(text);
+  });
+
+  return svg;
+}
+
+/**
+ * Load jsPDF and svg2pdf.js from the CDN, once
+ * @returns {Promise<void>} Resolves when window.jspdf.jsPDF can draw SVG
+ */
+function loadPdfLibrary() {
+  if (!pdfLibraryPromise) {
+    pdfLibraryPromise = PDF_LIBRARY_SCRIPTS.reduce((chain, src) => chain.then(() => new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Failed to load ${src}`));
+      document.head.appendChild(script);
+    })), Promise.resolve()).catch(error => {
+      pdfLibraryPromise = null; // Let the next attempt retry
+      throw error;
+    });
+  }
+  return pdfLibraryPromise;
+}
+
+/**
+ * Convert the chart SVG into a single-page PDF the size of the chart
+ * @returns {Promise<Object>} jsPDF document
+ */
+async function generateChartPDF() {
+  await loadPdfLibrary();
+  const svg = buildChartSvg();
+  // 1 CSS px = 0.75 pt
+  const width = Number(svg.getAttribute('width')) * 0.75;
+  const height = Number(svg.getAttribute('height')) * 0.75;
+
+  const doc = new window.jspdf.jsPDF({
+    orientation: width >= height ? 'landscape' : 'portrait',
+    unit: 'pt',
+    format: [width, height]
+  });
+
+  // svg2pdf reads computed styles, so the SVG is attached offscreen while it converts
+  const holder = document.createElement('div');
+  holder.style.position = 'absolute';
+  holder.style.left = '-99999px';
+  holder.style.top = '-99999px';
+  holder.appendChild(svg);
+  document.body.appendChild(holder);
+  try {
+    await doc.svg(svg, { x: 0, y: 0, width: width, height: height });
+  } finally {
+    document.body.removeChild(holder);
+  }
+
+  doc.setProperties({
+    title: svg.querySelector('title').textContent,
+    subject: svg.querySelector('desc').textContent,
+    creator: 'NAEI scatter chart'
+  });
+  return doc;
+}
+
+/**
+ * Download the chart as a standalone SVG or single-page PDF
+ * @param {string} format - 'svg' or 'pdf'
+ */
+async function downloadChartVector(format) {
+  try {
+    const grid = window.SmallMultiples.getSmallMultiplesData();
+    const chartData = grid || window.ChartRenderer.getCurrentChartData();
+    if (!chartData) {
+      alert('No chart available to download');
+      return;
+    }
+
+    const filename = `${window.ExportShare.buildExportBaseName(chartData)}.${format}`;
+    if (format === 'pdf') {
+      const doc = await generateChartPDF();
+      doc.save(filename);
+    } else {
+      const text = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(buildChartSvg());
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml;charset=utf-8' }));
+      link.download = filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    if (window.Analytics && supabase) {
+      const details = {
+        year: chartData.year,
+        group_count: chartData.groupIds.length,
+        dataset_edition: chartData.datasetEdition,
+        format: format,
+        filename: filename
+      };
+      if (grid) {
+        details.pollutants = grid.panels.map(panel => panel.pollutantName).join(',');
+      } else {
+        details.pollutant = chartData.pollutantName;
+      }
+      window.Analytics.trackAnalytics(supabase, grid ? 'small_multiples_downloaded' : 'scatter_chart_downloaded', details);
+    }
+  } catch (error) {
+    console.error(`Failed to export chart as ${format.toUpperCase()}:`, error);
+    alert(`Failed to export chart as ${format.toUpperCase()}: ${error.message}`);
+  }
+}
+
+// Export vector export functions
+window.VectorExport = {
+  cloneChartSvg,
+  renderOffscreenChartSvg,
+  readVectorTitleLines,
+  readVectorLegendEntries,
+  buildChartSvg,
+  generateChartPDF,
+  downloadChartVector
+};
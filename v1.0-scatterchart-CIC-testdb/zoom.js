@@ -0,0 +1,189 @@
+/**
+ * Chart Zoom Module
+ * Drag a rectangle over the chart area to zoom into it, Shift+drag to pan,
+ * and "Reset zoom" to return to the full range. The zoom window is kept in
+ * data coordinates so it survives redraws, share URLs and PNG export.
+ */
+
+const ZOOM_MIN_DRAG_PX = 8; // Smaller drags are treated as clicks
+const ZOOM_PARAM_PRECISION = 6;
+
+let zoomOptions = null;
+let zoomDrag = null; // Drag in progress: {mode, layout, area, origin, start, band}
+
+/**
+ * Bind the drag handlers and reset button
+ * @param {Object} options - Zoom options
+ * @param {Function} options.getChart - Returns the Google chart instance (or null)
+ * @param {Function} options.isEnabled - Whether the chart can be zoomed right now
+ * @param {Function} options.onZoom - Called with the new window {x: {min, max}, y: {min, max}},
+ *   or null to reset
+ */
+function setupChartZoom(options = {}) {
+  zoomOptions = options;
+  document.getElementById('chart_div').addEventListener('mousedown', startZoomDrag);
+  document.getElementById('resetZoomBtn').addEventListener('click', () => {
+    if (zoomOptions.onZoom) zoomOptions.onZoom(null);
+  });
+}
+
+/**
+ * Mouse position relative to the chart container
+ * @param {MouseEvent} e - Mouse event
+ * @param {Object} origin - Container's client rect
+ * @returns {Object} {x, y} in pixels
+ */
+function zoomPointer(e, origin) {
+  return { x: e.clientX - origin.left, y: e.clientY - origin.top };
+}
+
+/**
+ * Start a zoom or pan drag if the press is inside the chart area
+ * @param {MouseEvent} e - mousedown event
+ */
+function startZoomDrag(e) {
+  if (e.button !== 0 || !zoomOptions || !zoomOptions.isEnabled()) return;
+  const chart = zoomOptions.getChart();
+  if (!chart) return;
+
+  const chartDiv = document.getElementById('chart_div');
+  const layout = chart.getChartLayoutInterface();
+  const area = layout.getChartAreaBoundingBox();
+  const origin = chartDiv.getBoundingClientRect();
+  const start = zoomPointer(e, origin);
+  if (start.x < area.left || start.x > area.left + area.width ||
+      start.y < area.top || start.y > area.top + area.height) {
+    return;
+  }
+
+  e.preventDefault(); // No text selection while dragging
+  zoomDrag = { mode: e.shiftKey ? 'pan' : 'zoom', layout, area, origin, start, band: null };
+
+  if (zoomDrag.mode === 'zoom') {
+    const band = document.createElement('div');
+    band.className = 'zoom-band';
+    band.style.display = 'none';
+    chartDiv.appendChild(band);
+    zoomDrag.band = band;
+  } else {
+    chartDiv.classList.add('panning');
+  }
+
+  document.addEventListener('mousemove', moveZoomDrag);
+  document.addEventListener('mouseup', endZoomDrag);
+}
+
+/**
+ * Keep a pixel position inside the chart area
+ * @param {Object} point - {x, y}
+ * @param {Object} area - Chart area bounding box
+ * @returns {Object} Clamped {x, y}
+ */
+function clampToChartArea(point, area) {
+  return {
+    x: Math.min(Math.max(point.x, area.left), area.left + area.width),
+    y: Math.min(Math.max(point.y, area.top), area.top + area.height)
+  };
+}
+
+/**
+ * Follow the mouse with the selection rectangle
+ * @param {MouseEvent} e - mousemove event
+ */
+function moveZoomDrag(e) {
+  if (!zoomDrag || !zoomDrag.band) return;
+  const end = clampToChartArea(zoomPointer(e, zoomDrag.origin), zoomDrag.area);
+  const band = zoomDrag.band;
+  band.style.display = 'block';
+  band.style.left = `${Math.min(zoomDrag.start.x, end.x)}px`;
+  band.style.top = `${Math.min(zoomDrag.start.y, end.y)}px`;
+  band.style.width = `${Math.abs(end.x - zoomDrag.start.x)}px`;
+  band.style.height = `${Math.abs(end.y - zoomDrag.start.y)}px`;
+}
+
+/**
+ * Finish the drag: zoom to the rectangle, or shift the window by the pan distance
+ * @param {MouseEvent} e - mouseup event
+ */
+function endZoomDrag(e) {
+  document.removeEventListener('mousemove', moveZoomDrag);
+  document.removeEventListener('mouseup', endZoomDrag);
+  if (!zoomDrag) return;
+
+  const { mode, layout, area, origin, start, band } = zoomDrag;
+  zoomDrag = null;
+  if (band) band.remove();
+  document.getElementById('chart_div').classList.remove('panning');
+
+  let left, right, top, bottom;
+  if (mode === 'zoom') {
+    const end = clampToChartArea(zoomPointer(e, origin), area);
+    if (Math.abs(end.x - start.x) < ZOOM_MIN_DRAG_PX || Math.abs(end.y - start.y) < ZOOM_MIN_DRAG_PX) return;
+    left = Math.min(start.x, end.x);
+    right = Math.max(start.x, end.x);
+    top = Math.min(start.y, end.y);
+    bottom = Math.max(start.y, end.y);
+  } else {
+    // Dragging the points right shows what lay to their left
+    const end = zoomPointer(e, origin);
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    if (Math.abs(dx) < ZOOM_MIN_DRAG_PX && Math.abs(dy) < ZOOM_MIN_DRAG_PX) return;
+    left = area.left - dx;
+    right = area.left + area.width - dx;
+    top = area.top - dy;
+    bottom = area.top + area.height - dy;
+  }
+
+  // The layout converts pixels to data values on linear and log axes alike
+  const zoomWindow = {
+    x: { min: layout.getHAxisValue(left), max: layout.getHAxisValue(right) },
+    y: { min: layout.getVAxisValue(bottom), max: layout.getVAxisValue(top) }
+  };
+  if (isValidZoomWindow(zoomWindow) && zoomOptions.onZoom) {
+    zoomOptions.onZoom(zoomWindow);
+  }
+}
+
+/**
+ * @param {Object|null} zoomWindow - Candidate window
+ * @returns {boolean} Whether both axes have finite, increasing bounds
+ */
+function isValidZoomWindow(zoomWindow) {
+  return Boolean(zoomWindow) && ['x', 'y'].every(axis => {
+    const range = zoomWindow[axis];
+    return range && isFinite(range.min) && isFinite(range.max) && range.min < range.max;
+  });
+}
+
+/**
+ * Write a zoom window as a URL parameter value
+ * @param {Object} zoomWindow - {x: {min, max}, y: {min, max}}
+ * @returns {string} "xMin,xMax,yMin,yMax"
+ */
+function formatZoomParam(zoomWindow) {
+  return [zoomWindow.x.min, zoomWindow.x.max, zoomWindow.y.min, zoomWindow.y.max]
+    .map(value => Number(value.toPrecision(ZOOM_PARAM_PRECISION)))
+    .join(',');
+}
+
+/**
+ * Read a zoom window from a URL parameter value
+ * @param {string|null} text - "xMin,xMax,yMin,yMax"
+ * @returns {Object|null} Zoom window, or null if missing or malformed
+ */
+function parseZoomParam(text) {
+  if (!text) return null;
+  const values = text.split(',').map(Number);
+  if (values.length !== 4) return null;
+  const zoomWindow = { x: { min: values[0], max: values[1] }, y: { min: values[2], max: values[3] } };
+  return isValidZoomWindow(zoomWindow) ? zoomWindow : null;
+}
+
+// Export zoom functions
+window.ChartZoom = {
+  setupChartZoom,
+  isValidZoomWindow,
+  formatZoomParam,
+  parseZoomParam
+};